@@ -12,7 +12,7 @@ var cityDists = [
   [2182, 1737, 1021, 1891, 959, 2734, 2408, 678, 0, 2329],
   [543, 597, 1494, 1220, 2300, 923, 205, 2442, 2329, 0]];
 
-var coords = mdsvis.mds(cityDists);
+var coords = mdsvis.mds(cityDists).coords;
 
 var names = ['Atlanta', 'Chicago', 'Denver', 'Houston', 'Los Angeles',
              'Miami', 'New York', 'San Francisco', 'Seattle', 'Washington, DC'];
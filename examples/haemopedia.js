@@ -4,7 +4,8 @@ var distances = [[0.0,2.9077818724,2.5715960803,3.9982529286,4.1073374976,4.0410
 
 var mdsvis = require('biojs-vis-mds');
 
-var coords = mdsvis.mds(distances, 4);
+var result = mdsvis.mds(distances, 4);
+var coords = result.coords;
 
 var onHover = function(data) {
   var groupNum = data.points[0].curveNumber;
@@ -19,6 +20,7 @@ var onClick = function(data) {
 
 var options = {
   metadata: metadata,
+  proportions: result.proportions,
   layout: {
     title: 'Dataset: Haemopedia',
     width: 1100,
@@ -12,39 +12,23 @@ var coords = [ [0,1,2,3],
                [3,2,4,1],
                [2,3,1,2],
                [0,0,3,7] ];
-var metadata = [ {celltype: 'B2', tissue: 'BM'},
-                 {celltype: 'Mac', tissue: 'BM'},
-                 {celltype: 'B2', tissue: 'LN'},
-                 {celltype: 'Mac', tissue: 'LN'} ];
-
-// define event handlers
-var onHover1 = function(data) {
-  var groupNum = data.points[0].curveNumber;
-  mdsvis.handlers.highlightGroup(root1, groupNum);
-};
-var onUnhover1 = function(data) {
-  mdsvis.handlers.unhighlight(root1);
-};
-var onHover2 = function(data) {
-  var groupNum = data.points[0].curveNumber;
-  mdsvis.handlers.highlightGroup(root2, groupNum);
-};
-var onUnhover2 = function(data) {
-  mdsvis.handlers.unhighlight(root2);
-};
+var metadata = [ {sample: 'S1', celltype: 'B2', tissue: 'BM'},
+                 {sample: 'S2', celltype: 'Mac', tissue: 'BM'},
+                 {sample: 'S3', celltype: 'B2', tissue: 'LN'},
+                 {sample: 'S4', celltype: 'Mac', tissue: 'LN'} ];
 
 var options1 = {
   metadata: metadata,
+  idKey: 'sample',
   layout: {
     title: 'First plot',
     width: 1000
-  },
-  onHover: onHover1,
-  onUnhover: onUnhover1
+  }
 };
 
 var options2 = {
   metadata: metadata,
+  idKey: 'sample',
   groupByKey: 'tissue',
   layout: {
     title: 'Second plot',
@@ -58,12 +42,14 @@ var options2 = {
     marker: {size: 20}
   },
   xDim: 2, yDim: 3,
-  showLabels: true,
-  onHover: onHover2,
-  onUnhover: onUnhover2
+  showLabels: true
 };
 
 var vis1 = mdsvis.create(root1, coords, options1);
 var vis2 = mdsvis.create(root2, coords, options2);
 vis1.draw();
 vis2.draw();
+
+// hovering over or selecting samples in one plot highlights or selects the
+// same samples in the other
+mdsvis.link([vis1, vis2]);
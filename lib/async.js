@@ -0,0 +1,140 @@
+/*
+ * Asynchronous MDS computation, off the main (UI) thread where possible.
+ *
+ * In browsers, the computation runs in a Web Worker so that large distance
+ * matrices don't freeze the page. Where Workers are unavailable (e.g. under
+ * Node), the same computation runs synchronously, but still behind a Promise.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint browser: true, esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+const work = require('webworkify');
+
+// internal dependencies
+const compute = require('./compute');
+
+const cancelledMessage = 'computation cancelled (mdsvis.computeAsync)';
+
+// error events from a worker which failed to load have no message
+const workerFailedMessage = 'worker failed (mdsvis.computeAsync)';
+
+/**
+  * Run the computation in a Web Worker.
+  *
+  * @param {array}  input  - See `computeAsync`
+  * @param {object} opts   - See `computeAsync`
+  * @param {object} settle - `{resolve, reject, onProgress}` callbacks
+  * @returns {object} A task, with a `stop` method to terminate the worker
+  */
+function startWorker(input, opts, settle) {
+  var worker = work(require('./worker.js'));
+
+  worker.addEventListener('message', (event) => {
+    var msg = event.data;
+    if (msg.type === 'progress') {
+      settle.onProgress(msg.progress);
+      return;
+    }
+    worker.terminate();
+    if (msg.type === 'result') {
+      settle.resolve(msg.result);
+    } else {
+      settle.reject(new Error(msg.message));
+    }
+  });
+  worker.addEventListener('error', (event) => {
+    worker.terminate();
+    settle.reject(new Error(event.message || workerFailedMessage));
+  });
+
+  // functions (e.g. onProgress) can't be posted to a worker
+  worker.postMessage({input: input, opts: _.omit(opts, _.isFunction)});
+
+  return {stop: () => worker.terminate()};
+}
+
+/**
+  * Run the computation on this thread, after yielding to the event loop.
+  *
+  * Stopping the task before it starts prevents it from running at all; stopping
+  * it from a progress callback, or returning `false` from the callback, halts
+  * non-metric MDS at the next iteration.
+  *
+  * @param {array}  input  - See `computeAsync`
+  * @param {object} opts   - See `computeAsync`
+  * @param {object} settle - `{resolve, reject, onProgress}` callbacks
+  * @returns {object} A task, with a `stop` method
+  */
+function startSync(input, opts, settle) {
+  var stopped = false;
+
+  var timer = setTimeout(() => {
+    try {
+      var result = compute.run(input, opts, (progress) => {
+        return !stopped && settle.onProgress(progress) !== false;
+      });
+      settle.resolve(result);
+    } catch (err) {
+      settle.reject(err);
+    }
+  }, 0);
+
+  return {stop: () => {
+    stopped = true;
+    clearTimeout(timer);
+  }};
+}
+
+/**
+  * Compute MDS coordinates asynchronously.
+  *
+  * The returned Promise resolves with the same result as `compute.run` (see
+  * compute.js), or rejects if the computation fails or is cancelled. It also
+  * has a `cancel` method, which stops the computation and rejects the Promise.
+  *
+  * @param {array}  input - A distance matrix or, if `opts.distance` is set, a
+  *                         samples x features table
+  * @param {object} opts  - Options for `compute.run`, plus:
+  *                           `onProgress` - progress callback, receiving
+  *                                          objects like `{stage: 'mds',
+  *                                          iteration: 12, maxIter: 300,
+  *                                          stress: 0.081}`; when running
+  *                                          synchronously, return `false` to
+  *                                          stop non-metric MDS early
+  *                           `worker`     - set to `false` to force
+  *                                          synchronous execution
+  *
+  * @returns {Promise} A cancellable Promise of the MDS result
+  */
+function computeAsync(input, opts) {
+  opts = opts || {};
+  var cancel;
+
+  var promise = new Promise((resolve, reject) => {
+    var settle = {
+      resolve: resolve,
+      reject: reject,
+      onProgress: opts.onProgress || _.noop
+    };
+    var useWorker = typeof Worker !== 'undefined' && opts.worker !== false;
+    var task = useWorker ?
+        startWorker(input, opts, settle) : startSync(input, opts, settle);
+
+    cancel = () => {
+      task.stop();
+      reject(new Error(cancelledMessage));
+    };
+  });
+
+  promise.cancel = cancel;
+  return promise;
+}
+
+// exports
+module.exports.computeAsync = computeAsync;
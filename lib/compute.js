@@ -0,0 +1,81 @@
+/*
+ * Run a complete MDS computation: from a feature table or distance matrix to
+ * coordinates.
+ *
+ * This is shared by the Web Worker (see worker.js) and by the synchronous
+ * fallback of `computeAsync` (see async.js), so it must not touch the DOM.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const mds = require('./mds');
+const nmds = require('./nmds');
+const distance = require('./distance');
+
+/**
+  * Compute MDS coordinates.
+  *
+  * Progress is reported through `onProgress`, which receives objects like
+  *
+  *     {stage: 'distances'}
+  *     {stage: 'mds'}
+  *     {stage: 'mds', iteration: 12, maxIter: 300, stress: 0.081}
+  *
+  * the last only for non-metric MDS. If `onProgress` returns `false` during
+  * non-metric MDS, the solver stops early.
+  *
+  * @param {array}    input      - A distance matrix or, if `opts.distance` is
+  *                                set, a samples x features table
+  * @param {object}   opts       - Options:
+  *                                  `method`   - 'classical' (default) or
+  *                                               'nonmetric'
+  *                                  `distance` - options for `distanceMatrix`;
+  *                                               if set, distances are first
+  *                                               computed from `input`
+  *                                  any other options are passed to the solver
+  * @param {function} onProgress - Progress callback (optional)
+  *
+  * @returns {object} The solver's result, plus `distances` if they were
+  *                   computed
+  *
+  * @throws Error If the method is unknown, or the input is invalid.
+  */
+function run(input, opts, onProgress) {
+  // ndim is left to the solver, whose default depends on nmds's init
+  opts = _.extend({method: 'classical', maxIter: 300}, opts);
+  onProgress = onProgress || _.noop;
+
+  var result = {};
+  var distances = input;
+  if (opts.distance) {
+    onProgress({stage: 'distances'});
+    distances = distance.distanceMatrix(input, opts.distance);
+    result.distances = distances;
+  }
+
+  onProgress({stage: 'mds'});
+  if (opts.method === 'classical') {
+    return _.extend(result, mds.mds(distances, opts.ndim));
+  } else if (opts.method === 'nonmetric') {
+    var solverOpts = _.extend({}, opts, {
+      onIteration: (iteration, stress) => onProgress({
+        stage: 'mds', iteration: iteration, maxIter: opts.maxIter,
+        stress: stress
+      })
+    });
+    return _.extend(result, nmds.nmds(distances, solverOpts));
+  }
+  throw new Error('unknown MDS method "' + opts.method +
+                  '" (mdsvis.computeAsync)');
+}
+
+// exports
+module.exports.run = run;
@@ -0,0 +1,148 @@
+/*
+ * Diagnostics of how faithfully MDS coordinates preserve the distances they
+ * were computed from: Shepard diagrams and per-sample stress.
+ *
+ * Embedded distances are compared with the original distances after scaling
+ * them by a least squares factor, so that the diagnostics suit non-metric MDS
+ * (whose configurations have an arbitrary scale) as well as classical MDS.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// stress below which a fit is treated as perfect
+const perfectStress = 1e-8;
+
+/**
+  * Check that a distance matrix matches a set of coordinates.
+  *
+  * @param {array}  distances - The original n x n distance matrix
+  * @param {array}  coords    - n arrays of coordinates
+  * @param {number} ndim      - The number of dimensions to compare
+  *
+  * @throws Error If the matrix is not n x n, or ndim is not between 1 and the
+  *               number of coordinate dimensions.
+  */
+function checkInput(distances, coords, ndim) {
+  var n = coords.length;
+  var square = distances.length === n &&
+      distances.every(row => row.length === n);
+  if (!square) {
+    throw new Error('distance matrix must be ' + n + ' x ' + n +
+                    ', to match the coordinates (mdsvis.shepard)');
+  }
+  if (ndim < 1 || ndim > coords[0].length) {
+    throw new Error('ndim must be between 1 and ' + coords[0].length +
+                    ' (mdsvis.shepard)');
+  }
+}
+
+/**
+  * Euclidean distance between two points, in their first `ndim` dimensions.
+  *
+  * @param {array}  a    - The coordinates of the first point
+  * @param {array}  b    - The coordinates of the second point
+  * @param {number} ndim - The number of dimensions
+  * @returns {number} The distance
+  */
+function embeddedDistance(a, b, ndim) {
+  var sum = 0;
+  for (var k=0; k < ndim; k++) {
+    sum += (a[k] - b[k]) * (a[k] - b[k]);
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+  * Compute a Shepard diagram: the original and embedded distance of every
+  * pair of points.
+  *
+  * The embedded distances use the first `ndim` dimensions of the coordinates.
+  * `scale` is the least squares factor taking embedded distances to original
+  * distances, and `stress` is the resulting Kruskal stress-1:
+  * sqrt( sum (original - scale * embedded)^2 / sum original^2 ).
+  *
+  * @param {array}  distances - The original n x n distance matrix
+  * @param {array}  coords    - n arrays of coordinates
+  * @param {number} ndim      - The number of dimensions to compare (defaults
+  *                             to all of them)
+  *
+  * @returns {object} An object with properties
+  *                     `pairs`    - `[i, j]` index pairs, with i < j
+  *                     `original` - the original distance of each pair
+  *                     `embedded` - the embedded distance of each pair
+  *                     `scale`    - the least squares scaling factor
+  *                     `stress`   - the stress of the fit
+  *
+  * @throws Error If the distance matrix doesn't match the coordinates, or
+  *               ndim is invalid.
+  */
+function shepard(distances, coords, ndim) {
+  ndim = ndim === undefined ? coords[0].length : ndim;
+  checkInput(distances, coords, ndim);
+
+  var result = {pairs: [], original: [], embedded: []};
+  for (var i=0; i < coords.length; i++) {
+    for (var j=i+1; j < coords.length; j++) {
+      result.pairs.push([i, j]);
+      result.original.push(distances[i][j]);
+      result.embedded.push(embeddedDistance(coords[i], coords[j], ndim));
+    }
+  }
+
+  var cross = 0, embeddedSq = 0, originalSq = 0;
+  result.original.forEach((val, k) => {
+    cross += val * result.embedded[k];
+    embeddedSq += result.embedded[k] * result.embedded[k];
+    originalSq += val * val;
+  });
+  result.scale = embeddedSq > 0 ? cross / embeddedSq : 1;
+
+  var residual = residuals(result).reduce((sum, val) => sum + val, 0);
+  result.stress = originalSq > 0 ? Math.sqrt(residual / originalSq) : 0;
+  return result;
+}
+
+/**
+  * Squared residuals of each pair of a Shepard diagram.
+  *
+  * @param {object} diagram - A Shepard diagram, as returned by `shepard`
+  * @returns {array} (original - scale * embedded)^2, for each pair
+  */
+function residuals(diagram) {
+  return diagram.original.map((val, k) => {
+    return Math.pow(val - diagram.scale * diagram.embedded[k], 2);
+  });
+}
+
+/**
+  * Compute each point's contribution to the stress of a Shepard diagram.
+  *
+  * A point's contribution is the share of the squared residuals of the pairs
+  * it belongs to, so contributions are between 0 and 1 and sum to 1. Points
+  * whose distances to the others are poorly preserved have large
+  * contributions. If the fit is perfect, every contribution is 0.
+  *
+  * @param {object} diagram - A Shepard diagram, as returned by `shepard`
+  * @param {number} n       - The number of points
+  * @returns {array} The stress contribution of each point
+  */
+function sampleStress(diagram, n) {
+  var contributions = new Array(n).fill(0);
+  var total = 0;
+  residuals(diagram).forEach((val, k) => {
+    contributions[diagram.pairs[k][0]] += val;
+    contributions[diagram.pairs[k][1]] += val;
+    total += 2 * val;
+  });
+  // shares of a (numerically) perfect fit's residuals are just rounding error
+  var perfect = diagram.stress < perfectStress;
+  return contributions.map(val => perfect ? 0 : val / total);
+}
+
+// exports
+module.exports.shepard = shepard;
+module.exports.sampleStress = sampleStress;
@@ -0,0 +1,256 @@
+/*
+ * Distance matrices for Multidimensional Scaling (MDS).
+ *
+ * Compute pairwise distances between the rows (samples) of a feature table,
+ * e.g. a samples x genes expression matrix, for use with the MDS solvers.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const linalg = require('./linalg');
+
+const defaultOptions = {
+  method: 'euclidean',
+  scale: false,
+  top: null,
+  leading: 500
+};
+
+/**
+  * Arithmetic mean of an array of numbers.
+  */
+function mean(values) {
+  return values.reduce((sum, val) => sum + val, 0) / values.length;
+}
+
+/**
+  * Sample variance of an array of numbers.
+  */
+function variance(values) {
+  var m = mean(values);
+  var sumSq = values.reduce((sum, val) => sum + (val - m) * (val - m), 0);
+  return values.length > 1 ? sumSq / (values.length - 1) : 0;
+}
+
+/**
+  * Centre and scale a vector to zero mean and unit variance. Constant vectors
+  * are only centred.
+  */
+function standardise(values) {
+  var m = mean(values);
+  var sd = Math.sqrt(variance(values)) || 1;
+  return values.map(val => (val - m) / sd);
+}
+
+/**
+  * Fractional ranks of an array of numbers (1-offset), with tied values
+  * given the average of their ranks.
+  *
+  * For example,
+  *
+  *     > ranks([10, 30, 20, 30])
+  *     [ 1, 3.5, 2, 3.5 ]
+  */
+function ranks(values) {
+  var order = _.sortBy(_.range(values.length), i => values[i]);
+  var result = new Array(values.length);
+
+  var start = 0;
+  while (start < order.length) {
+    var end = start;
+    while (end + 1 < order.length &&
+           values[order[end + 1]] === values[order[start]]) {
+      end++;
+    }
+    for (var k=start; k <= end; k++) {
+      result[order[k]] = (start + end) / 2 + 1;
+    }
+    start = end + 1;
+  }
+
+  return result;
+}
+
+/**
+  * Distance functions between two feature vectors. Each takes the two
+  * vectors and the options object passed to `distanceMatrix`.
+  */
+const metrics = {
+  euclidean: function(a, b) {
+    var sum = 0;
+    for (var i=0; i < a.length; i++) {
+      sum += (a[i] - b[i]) * (a[i] - b[i]);
+    }
+    return Math.sqrt(sum);
+  },
+
+  manhattan: function(a, b) {
+    var sum = 0;
+    for (var i=0; i < a.length; i++) {
+      sum += Math.abs(a[i] - b[i]);
+    }
+    return sum;
+  },
+
+  cosine: function(a, b) {
+    var norms = Math.sqrt(linalg.dot(a, a) * linalg.dot(b, b));
+    return norms > 0 ? Math.max(0, 1 - linalg.dot(a, b) / norms) : 0;
+  },
+
+  // rows are standardised (and, for spearman, ranked) beforehand, once each:
+  // see `preparations`
+  pearson: function(a, b) {
+    return metrics.cosine(a, b);
+  },
+
+  spearman: function(a, b) {
+    return metrics.cosine(a, b);
+  },
+
+  // root-mean-square of the `leading` largest absolute differences, as in
+  // limma's plotMDS with pairwise gene selection
+  logfc: function(a, b, opts) {
+    var squared = a.map((val, i) => (val - b[i]) * (val - b[i]));
+    var leading = squared.sort((x, y) => y - x).slice(0, opts.leading);
+    return Math.sqrt(mean(leading));
+  }
+};
+
+/**
+  * Transformations of each row (sample) needed by some metrics, applied once
+  * per row rather than once per pair: correlation distances are cosine
+  * distances between standardised values or, for spearman, ranks.
+  */
+const preparations = {
+  pearson: row => standardise(row),
+  spearman: row => standardise(ranks(row))
+};
+
+/**
+  * Keep only the `top` features (columns) with the highest variance across
+  * samples.
+  *
+  * @param {array}  table - A samples x features table
+  * @param {number} top   - Number of features to keep
+  * @returns {array} The filtered table, with features in their original order
+  */
+function mostVariable(table, top) {
+  var columns = _.unzip(table);
+  var byVariance = _.sortBy(_.range(columns.length), j => {
+    return -variance(columns[j]);
+  });
+  var keep = byVariance.slice(0, top).sort((x, y) => x - y);
+  return table.map(row => keep.map(j => row[j]));
+}
+
+/**
+  * Scale a table so that each row (sample) or each column (feature) has zero
+  * mean and unit variance.
+  *
+  * @param {array}  table - A samples x features table
+  * @param {string} scale - Either 'row' or 'column'
+  * @returns {array} The scaled table
+  */
+function scaleTable(table, scale) {
+  if (scale === 'row') {
+    return table.map(standardise);
+  } else if (scale === 'column') {
+    return _.unzip(_.unzip(table).map(standardise));
+  }
+  throw new Error('unknown scale option "' + scale +
+                  '" (mdsvis.distanceMatrix)');
+}
+
+/**
+  * Check that a feature table is non-empty and rectangular.
+  *
+  * @param {array} table - A samples x features table
+  * @throws Error If the table is invalid.
+  */
+function checkTable(table) {
+  if (!table || table.length === 0 || table[0].length === 0) {
+    throw new Error('no feature table supplied (mdsvis.distanceMatrix)');
+  }
+  var nfeatures = table[0].length;
+  if (_.some(table, row => row.length !== nfeatures)) {
+    throw new Error('all rows of the feature table must have the same ' +
+                    'length (mdsvis.distanceMatrix)');
+  }
+}
+
+/**
+  * Filter and scale a table's features, and transform its rows as needed by
+  * the distance method (see `preparations`), before distances are computed.
+  *
+  * @param {array}  table - A samples x features table
+  * @param {object} opts  - Options (see `distanceMatrix`)
+  * @returns {array} The prepared table
+  */
+function prepareTable(table, opts) {
+  if (opts.top) {
+    table = mostVariable(table, opts.top);
+  }
+  if (opts.scale) {
+    table = scaleTable(table, opts.scale);
+  }
+  if (_.has(preparations, opts.method)) {
+    table = table.map(preparations[opts.method]);
+  }
+  return table;
+}
+
+/**
+  * Compute the matrix of pairwise distances between the rows of a table.
+  *
+  * Features are optionally filtered (keeping the `top` most variable) and then
+  * scaled, before distances are computed. The result is a symmetric matrix
+  * with a zero diagonal, suitable for `mds` and `nmds`.
+  *
+  * @param {array}  table - A samples x features table of numbers
+  * @param {object} opts  - Options:
+  *                           `method`  - 'euclidean' (default), 'manhattan',
+  *                                       'cosine', 'pearson', 'spearman' or
+  *                                       'logfc'
+  *                           `scale`   - 'row' or 'column' to standardise
+  *                                       samples or features (default: none)
+  *                           `top`     - keep only this many of the most
+  *                                       variable features (default: all)
+  *                           `leading` - for 'logfc', the number of largest
+  *                                       differences per pair (default 500)
+  *
+  * @returns {array} An n x n distance matrix, for n samples
+  *
+  * @throws Error If the table is invalid or an option is not recognised.
+  */
+function distanceMatrix(table, opts) {
+  checkTable(table);
+  opts = _.extend({}, defaultOptions, opts);
+
+  if (!_.has(metrics, opts.method)) {
+    throw new Error('unknown distance method "' + opts.method +
+                    '" (mdsvis.distanceMatrix)');
+  }
+
+  table = prepareTable(table, opts);
+  var distances = table.map(() => new Array(table.length).fill(0));
+  for (var i=0; i < table.length; i++) {
+    for (var j=i+1; j < table.length; j++) {
+      var dist = metrics[opts.method](table[i], table[j], opts);
+      distances[i][j] = distances[j][i] = dist;
+    }
+  }
+
+  return distances;
+}
+
+// exports
+module.exports.distanceMatrix = distanceMatrix;
+module.exports.ranks = ranks;
@@ -10,7 +10,7 @@
 /* jshint esversion: 6 */
 'use strict';
 
-const Plotly = require('plotly.js/lib/index-basic');
+const Plotly = require('./plotly');
 
 /**
   * Hover over all points in a Plotly trace simultaneously.
@@ -0,0 +1,521 @@
+/*
+ * Small dense linear algebra helpers for Multidimensional Scaling (MDS).
+ *
+ * Matrices are plain arrays of row arrays, vectors are plain arrays.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+/**
+  * Dot product of two vectors of equal length.
+  *
+  * @param {array} a - First vector
+  * @param {array} b - Second vector
+  * @returns {number} The dot product of `a` and `b`
+  */
+function dot(a, b) {
+  var sum = 0;
+  for (var i=0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+/**
+  * Multiply a square matrix by a vector.
+  *
+  * @param {array} matrix - An n x n matrix
+  * @param {array} vec    - A vector of length n
+  * @returns {array} The product `matrix * vec`
+  */
+function multiply(matrix, vec) {
+  return matrix.map(row => dot(row, vec));
+}
+
+/**
+  * Scale a vector to unit length (in place).
+  *
+  * @param {array} vec - The vector to normalise
+  * @returns {number} The length of the vector before normalisation
+  */
+function normalise(vec) {
+  var norm = Math.sqrt(dot(vec, vec));
+  if (norm > 0) {
+    for (var i=0; i < vec.length; i++) {
+      vec[i] /= norm;
+    }
+  }
+  return norm;
+}
+
+/**
+  * Apply a Jacobi (plane) rotation to two columns of a matrix (in place).
+  *
+  * @param {array}  matrix - The matrix to rotate
+  * @param {array}  cols   - The indices `[p, q]` of the two columns
+  * @param {object} rot    - The rotation's cosine and sine, as `{c, s}`
+  */
+function rotateColumns(matrix, cols, rot) {
+  matrix.forEach(row => {
+    var p = row[cols[0]];
+    var q = row[cols[1]];
+    row[cols[0]] = rot.c * p - rot.s * q;
+    row[cols[1]] = rot.s * p + rot.c * q;
+  });
+}
+
+/**
+  * Find the Jacobi rotation making two columns of a matrix orthogonal.
+  *
+  * @param {array}  matrix - The matrix
+  * @param {array}  cols   - The indices `[p, q]` of the two columns
+  * @param {number} tol    - Columns are already orthogonal if the cosine of
+  *                          the angle between them is below this
+  * @returns {object} The rotation's cosine and sine, as `{c, s}`, or null if
+  *                   the columns are already orthogonal
+  */
+function jacobiRotation(matrix, cols, tol) {
+  var alpha = 0, beta = 0, gamma = 0;
+  matrix.forEach(row => {
+    alpha += row[cols[0]] * row[cols[0]];
+    beta += row[cols[1]] * row[cols[1]];
+    gamma += row[cols[0]] * row[cols[1]];
+  });
+  if (Math.abs(gamma) <= tol * Math.sqrt(alpha * beta)) {
+    return null;
+  }
+
+  var zeta = (beta - alpha) / (2 * gamma);
+  var t = (zeta >= 0 ? 1 : -1) / (Math.abs(zeta) + Math.sqrt(1 + zeta * zeta));
+  var c = 1 / Math.sqrt(1 + t * t);
+  return {c: c, s: c * t};
+}
+
+/**
+  * Orthogonalise every pair of columns of `u` once, applying the same
+  * rotations to `v` (both in place).
+  *
+  * @param {array}  u   - The matrix being orthogonalised
+  * @param {array}  v   - The accumulated rotations
+  * @param {number} tol - See `jacobiRotation`
+  * @returns {bool} Were any columns rotated?
+  */
+function jacobiSweep(u, v, tol) {
+  var n = v.length;
+  var rotated = false;
+  _.range(n).forEach(p => {
+    _.range(p + 1, n).forEach(q => {
+      var rot = jacobiRotation(u, [p, q], tol);
+      if (rot !== null) {
+        rotateColumns(u, [p, q], rot);
+        rotateColumns(v, [p, q], rot);
+        rotated = true;
+      }
+    });
+  });
+  return rotated;
+}
+
+/**
+  * Replace the zero columns of a matrix, whose other columns are orthonormal,
+  * with unit vectors orthogonal to every other column (in place), by
+  * Gram-Schmidt orthogonalisation of the standard basis vectors.
+  *
+  * @param {array} matrix - An m x n matrix, with m >= n
+  */
+function completeBasis(matrix) {
+  var columns = _.unzip(matrix);
+  columns.forEach((col, j) => {
+    if (dot(col, col) > 0) {
+      return;
+    }
+    // the first basis vector not (nearly) in the span of the other columns
+    var others = columns.filter((other, m) => m !== j);
+    _.find(_.range(col.length), (k) => {
+      var candidate = col.map((val, i) => i === k ? 1 : 0);
+      others.forEach((other) => {
+        var proj = dot(candidate, other);
+        candidate = candidate.map((val, i) => val - proj * other[i]);
+      });
+      if (normalise(candidate) > 1e-6) {
+        columns[j] = candidate;
+        return true;
+      }
+      return false;
+    });
+  });
+  matrix.forEach((row, i) => {
+    columns.forEach((col, j) => {
+      row[j] = col[i];
+    });
+  });
+}
+
+/**
+  * Singular value decomposition of a matrix, by one-sided Jacobi rotations.
+  *
+  * Finds U, S and V such that `matrix = U diag(S) V'`, where the columns of U
+  * and V are orthonormal (even for zero singular values, as when the matrix
+  * is rank deficient). Singular values are not sorted. This is only intended
+  * for the small matrices (e.g. d x d, for d dimensions) of Procrustes
+  * analysis.
+  *
+  * @param {array}  matrix - An m x n matrix, with m >= n
+  * @param {object} opts   - Optional iteration limits: `maxSweeps` (default
+  *                          100) and `tol` (default 1e-12)
+  * @returns {object} `{u: array, s: array, v: array}`, where `u` is m x n,
+  *                   `s` has length n and `v` is n x n
+  */
+function svd(matrix, opts) {
+  opts = _.extend({maxSweeps: 100, tol: 1e-12}, opts);
+  var n = matrix[0].length;
+  var u = matrix.map(row => row.slice());
+  var v = _.range(n).map(i => _.range(n).map(j => i === j ? 1 : 0));
+
+  for (var sweep=0; sweep < opts.maxSweeps; sweep++) {
+    if (!jacobiSweep(u, v, opts.tol)) {
+      break;
+    }
+  }
+
+  // the singular values are the lengths of the orthogonalised columns
+  var s = _.range(n).map(j => {
+    return Math.sqrt(u.reduce((sum, row) => sum + row[j] * row[j], 0));
+  });
+  u.forEach(row => {
+    for (var j=0; j < n; j++) {
+      row[j] = s[j] > 0 ? row[j] / s[j] : 0;
+    }
+  });
+  completeBasis(u);
+  return {u: u, s: s, v: v};
+}
+
+/**
+  * Reduce a symmetric matrix to tridiagonal form by Householder
+  * transformations: one step, zeroing row (and column) `i` left of the
+  * subdiagonal.
+  *
+  * This and the following functions are adapted from the public domain JAMA
+  * library (and, through it, from the EISPACK routines tred2 and tql2). The
+  * decomposition is held in `t = {v, d, e}`: `v` accumulates the
+  * transformations, and `d` and `e` hold the diagonal and subdiagonal.
+  *
+  * @param {object} t - The decomposition (modified)
+  * @param {number} i - The row to reduce, from n-1 down to 1
+  */
+function householderStep(t, i) {
+  var scale = 0;
+  for (var k=0; k < i; k++) {
+    scale += Math.abs(t.d[k]);
+  }
+
+  if (scale === 0) {
+    t.e[i] = t.d[i-1];
+    for (var j=0; j < i; j++) {
+      t.d[j] = t.v[i-1][j];
+      t.v[i][j] = 0;
+      t.v[j][i] = 0;
+    }
+    t.d[i] = 0;
+  } else {
+    t.d[i] = householderVector(t, i, scale);
+    applyReflection(t, i, t.d[i]);
+  }
+}
+
+/**
+  * Generate the Householder vector for one step of the tridiagonal
+  * reduction (see `householderStep`), in `t.d`.
+  *
+  * @param {object} t     - The decomposition (modified)
+  * @param {number} i     - The row being reduced
+  * @param {number} scale - The sum of the absolute values of the row
+  * @returns {number} The squared norm `h` of the reflection
+  */
+function householderVector(t, i, scale) {
+  var h = 0;
+  for (var k=0; k < i; k++) {
+    t.d[k] /= scale;
+    h += t.d[k] * t.d[k];
+  }
+  var f = t.d[i-1];
+  var g = f > 0 ? -Math.sqrt(h) : Math.sqrt(h);
+  t.e[i] = scale * g;
+  h -= f * g;
+  t.d[i-1] = f - g;
+  for (var j=0; j < i; j++) {
+    t.e[j] = 0;
+  }
+  return h;
+}
+
+/**
+  * Multiply the Householder vector of one step of the tridiagonal reduction
+  * (see `householderStep`) by the leading i x i block of the matrix, into
+  * `t.e`, storing the vector in column i of `t.v`.
+  *
+  * @param {object} t - The decomposition (modified)
+  * @param {number} i - The row being reduced
+  */
+function reflectionProduct(t, i) {
+  var v = t.v, d = t.d, e = t.e;
+  for (var j=0; j < i; j++) {
+    v[j][i] = d[j];
+    e[j] += v[j][j] * d[j];
+    for (var k=j+1; k < i; k++) {
+      e[j] += v[k][j] * d[k];
+      e[k] += v[k][j] * d[j];
+    }
+  }
+}
+
+/**
+  * Apply the similarity transformation of one step of the tridiagonal
+  * reduction (see `householderStep`) to the remaining columns.
+  *
+  * @param {object} t - The decomposition (modified)
+  * @param {number} i - The row being reduced
+  * @param {number} h - The squared norm of the reflection
+  */
+function applyReflection(t, i, h) {
+  var v = t.v, d = t.d, e = t.e;
+  reflectionProduct(t, i);
+
+  var f = 0;
+  for (var j=0; j < i; j++) {
+    e[j] /= h;
+    f += e[j] * d[j];
+  }
+  var hh = f / (h + h);
+  for (j=0; j < i; j++) {
+    e[j] -= hh * d[j];
+  }
+  for (j=0; j < i; j++) {
+    for (var k=j; k < i; k++) {
+      v[k][j] -= d[j] * e[k] + e[j] * d[k];
+    }
+    d[j] = v[i-1][j];
+    v[i][j] = 0;
+  }
+}
+
+/**
+  * Accumulate the Householder transformations of the tridiagonal reduction
+  * into `t.v`, for the columns up to `i + 1`.
+  *
+  * @param {object} t - The decomposition (modified)
+  * @param {number} i - The column, from 0 to n-2
+  */
+function accumulateStep(t, i) {
+  var v = t.v;
+  var n = v.length;
+  v[n-1][i] = v[i][i];
+  v[i][i] = 1;
+  var h = t.d[i+1];
+  if (h !== 0) {
+    var col = _.range(i + 1).map(k => v[k][i+1] / h);
+    _.range(i + 1).forEach((j) => {
+      var g = 0;
+      for (var k=0; k <= i; k++) {
+        g += v[k][i+1] * v[k][j];
+      }
+      for (k=0; k <= i; k++) {
+        v[k][j] -= g * col[k];
+      }
+    });
+  }
+  for (var k=0; k <= i; k++) {
+    v[k][i+1] = 0;
+  }
+}
+
+/**
+  * Reduce a symmetric matrix to tridiagonal form (see `householderStep`).
+  *
+  * @param {array} matrix - A symmetric n x n matrix
+  * @returns {object} The decomposition `{v, d, e}`: the orthogonal matrix `v`
+  *                   of the transformation, the diagonal `d` and the
+  *                   subdiagonal `e` (with e[0] = 0)
+  */
+function tridiagonalise(matrix) {
+  var n = matrix.length;
+  var t = {v: matrix.map(row => row.slice()), e: new Array(n).fill(0)};
+  t.d = t.v[n-1].slice();
+
+  for (var i=n-1; i > 0; i--) {
+    householderStep(t, i);
+  }
+  for (i=0; i < n-1; i++) {
+    accumulateStep(t, i);
+  }
+
+  t.d = t.v[n-1].slice();
+  t.v[n-1] = t.v[n-1].map((val, j) => j === n-1 ? 1 : 0);
+  t.e[0] = 0;
+  return t;
+}
+
+/**
+  * One implicit QL iteration on the rows `l` to `m` of a tridiagonal matrix,
+  * accumulating the rotations into `t.v` (see `tridiagonalEigen`).
+  *
+  * @param {object} t     - The decomposition (modified)
+  * @param {array}  range - The rows `[l, m]`
+  * @returns {number} The shift applied to the diagonal
+  */
+function qlIteration(t, range) {
+  var d = t.d, e = t.e, l = range[0];
+
+  // implicit shift, from the eigenvalues of the leading 2 x 2 block
+  var g = d[l];
+  var p = (d[l+1] - g) / (2 * e[l]);
+  var r = p < 0 ? -Math.hypot(p, 1) : Math.hypot(p, 1);
+  d[l] = e[l] / (p + r);
+  d[l+1] = e[l] * (p + r);
+  var shift = g - d[l];
+  for (var i=l+2; i < d.length; i++) {
+    d[i] -= shift;
+  }
+
+  var rot = qlSweep(t, range, {dl1: d[l+1], el1: e[l+1]});
+  p = -rot.s * rot.s2 * rot.c3 * rot.el1 * e[l] / rot.dl1;
+  e[l] = rot.s * p;
+  d[l] = rot.c * p;
+  return shift;
+}
+
+/**
+  * The Givens rotations of an implicit QL iteration (see `qlIteration`).
+  *
+  * @param {object} t     - The decomposition (modified)
+  * @param {array}  range - The rows `[l, m]`
+  * @param {object} rot   - The subdiagonal values `{dl1, el1}` after the
+  *                         shift, to be returned with the rotation state
+  * @returns {object} `rot`, with the last rotations' cosines and sines
+  */
+function qlSweep(t, range, rot) {
+  var d = t.d, e = t.e;
+  var p = d[range[1]];
+  _.extend(rot, {c: 1, c2: 1, c3: 1, s: 0, s2: 0});
+
+  for (var i=range[1]-1; i >= range[0]; i--) {
+    _.extend(rot, {c3: rot.c2, c2: rot.c, s2: rot.s});
+    var g = rot.c * e[i];
+    var h = rot.c * p;
+    var r = Math.hypot(p, e[i]);
+    e[i+1] = rot.s * r;
+    rot.s = e[i] / r;
+    rot.c = p / r;
+    p = rot.c * d[i] - rot.s * g;
+    d[i+1] = h + rot.s * (rot.c * g + rot.s * d[i]);
+    rotateColumns(t.v, [i, i+1], {c: rot.c, s: rot.s});
+  }
+  return rot;
+}
+
+/**
+  * Iterate the implicit QL method until the subdiagonal element of row `l`
+  * is negligible, making `d[l]` (once shifted back) an eigenvalue.
+  *
+  * @param {object} t    - The decomposition (modified)
+  * @param {number} l    - The row
+  * @param {object} opts - `tol`, the size of a negligible element, and
+  *                        `maxIter`
+  * @returns {number} The total shift applied to the diagonal
+  *
+  * @throws Error If the element is still not negligible after `maxIter`
+  *               iterations.
+  */
+function convergeRow(t, l, opts) {
+  // the first negligible subdiagonal element (e[n-1] is zero)
+  var m = l;
+  while (Math.abs(t.e[m]) > opts.tol) {
+    m++;
+  }
+
+  var shift = 0;
+  for (var iter=0; m > l && Math.abs(t.e[l]) > opts.tol; iter++) {
+    if (iter === opts.maxIter) {
+      throw new Error('eigen-decomposition did not converge (mdsvis.mds)');
+    }
+    shift += qlIteration(t, [l, m]);
+  }
+  return shift;
+}
+
+/**
+  * Diagonalise a symmetric tridiagonal matrix by the implicit QL method,
+  * completing the eigen-decomposition begun by `tridiagonalise`.
+  *
+  * @param {object} t       - The decomposition (modified): afterwards, `d`
+  *                           holds the eigenvalues (unsorted) and the columns
+  *                           of `v` the eigenvectors
+  * @param {number} maxIter - Maximum number of iterations per eigenvalue
+  *
+  * @throws Error If an eigenvalue fails to converge.
+  */
+function tridiagonalEigen(t, maxIter) {
+  var n = t.d.length;
+  t.e.push(t.e.shift());
+  t.e[n-1] = 0;
+
+  var shift = 0, norm = 0;
+  for (var l=0; l < n; l++) {
+    norm = Math.max(norm, Math.abs(t.d[l]) + Math.abs(t.e[l]));
+    shift += convergeRow(t, l, {tol: Number.EPSILON * norm,
+                                maxIter: maxIter});
+    t.d[l] += shift;
+    t.e[l] = 0;
+  }
+}
+
+/**
+  * Compute the `k` algebraically largest eigenvalues of a symmetric matrix,
+  * along with the corresponding unit eigenvectors.
+  *
+  * The matrix is reduced to tridiagonal form by Householder transformations
+  * and then diagonalised by the implicit QL method, which is robust to close
+  * or repeated eigenvalues. This takes O(n^3) time. The sign of each
+  * eigenvector is chosen to make its largest component positive.
+  *
+  * @param {array}  matrix - A symmetric n x n matrix
+  * @param {number} k      - The number of eigenpairs to compute (k <= n)
+  * @param {object} opts   - Optional `maxIter`: the maximum number of QL
+  *                          iterations per eigenvalue (default 50)
+  * @returns {object} `{values: array, vectors: array}`, with values in
+  *                   decreasing order and vectors[j] corresponding to values[j]
+  *
+  * @throws Error If the decomposition fails to converge.
+  */
+function symmetricEigen(matrix, k, opts) {
+  opts = _.extend({maxIter: 50}, opts);
+
+  var t = tridiagonalise(matrix);
+  tridiagonalEigen(t, opts.maxIter);
+
+  var order = _.sortBy(_.range(t.d.length), j => -t.d[j]).slice(0, k);
+  return {
+    values: order.map(j => t.d[j]),
+    vectors: order.map((j) => {
+      // fix the sign, making the largest component positive
+      var vec = t.v.map(row => row[j]);
+      var largest = _.max(vec, val => Math.abs(val));
+      return largest < 0 ? vec.map(val => -val) : vec;
+    })
+  };
+}
+
+// exports
+module.exports.dot = dot;
+module.exports.multiply = multiply;
+module.exports.normalise = normalise;
+module.exports.symmetricEigen = symmetricEigen;
+module.exports.svd = svd;
@@ -0,0 +1,169 @@
+/*
+ * Linked brushing and highlighting across several MDS visualisations.
+ *
+ * Linked visualisations share their data points' IDs (see the `idKey`
+ * option), so hovering over or selecting samples in one visualisation is
+ * reflected in all the others, whatever dimensions or grouping they show.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+/**
+  * Constructor for a link between MDSVis instances.
+  *
+  * @param {array} instances - The MDSVis instances to link
+  *
+  * Class properties:
+  *
+  * @property {array}   instances - The linked MDSVis instances
+  * @property {Map}     listeners - Maps each instance to the event listeners
+  *                                 added to it by this link
+  * @property {bool}    busy      - Is an event being passed on to the linked
+  *                                 instances? Used to stop instances passing
+  *                                 the same event back and forth.
+  */
+var Link = function(instances) {
+  this.instances = [];
+  this.listeners = new Map();
+  this.busy = false;
+
+  (instances || []).forEach(vis => this.add(vis));
+};
+
+/**
+  * Add an instance to the link.
+  *
+  * Hovering over data points in the instance highlights the same data points
+  * in the other linked instances, and selecting data points selects them in
+  * the other linked instances.
+  *
+  * @param {object} vis - The MDSVis instance to add
+  * @returns {object} This Link object, for chaining
+  */
+Link.prototype.add = function(vis) {
+  if (this.instances.indexOf(vis) !== -1) {
+    return this;
+  }
+
+  var listeners = {
+    hover: (records) => {
+      var ids = getIds(vis, records);
+      this.broadcast(vis, other => other.highlight(ids));
+    },
+    unhover: () => this.broadcast(vis, other => other.unhighlight()),
+    selectionchange: (records) => {
+      var ids = getIds(vis, records);
+      this.broadcast(vis, other => other.selectIds(ids));
+    }
+  };
+  _.each(listeners, (listener, event) => vis.on(event, listener));
+
+  this.instances.push(vis);
+  this.listeners.set(vis, listeners);
+  return this;
+};
+
+/**
+  * Remove an instance from the link.
+  *
+  * @param {object} vis - The MDSVis instance to remove
+  * @returns {object} This Link object, for chaining
+  */
+Link.prototype.remove = function(vis) {
+  if (!this.listeners.has(vis)) {
+    return this;
+  }
+
+  _.each(this.listeners.get(vis), (listener, event) => {
+    vis.off(event, listener);
+  });
+  this.listeners.delete(vis);
+  this.instances = _.without(this.instances, vis);
+  return this;
+};
+
+/**
+  * Remove all instances from the link.
+  */
+Link.prototype.unlink = function() {
+  this.instances.slice().forEach(vis => this.remove(vis));
+};
+
+/**
+  * Highlight the data points with the given IDs in every linked instance.
+  *
+  * @param {array} ids - The IDs of the data points to highlight
+  */
+Link.prototype.highlight = function(ids) {
+  this.broadcast(null, vis => vis.highlight(ids));
+};
+
+/**
+  * Remove any highlight from every linked instance.
+  */
+Link.prototype.unhighlight = function() {
+  this.broadcast(null, vis => vis.unhighlight());
+};
+
+/**
+  * Select the data points with the given IDs in every linked instance.
+  *
+  * @param {array} ids - The IDs of the data points to select
+  */
+Link.prototype.select = function(ids) {
+  this.broadcast(null, vis => vis.selectIds(ids));
+};
+
+/**
+  * Clear the selection in every linked instance.
+  */
+Link.prototype.clearSelection = function() {
+  this.select([]);
+};
+
+/**
+  * Apply an action to every linked instance except the source of an event.
+  *
+  * Actions may cause events in the instances they are applied to (e.g.
+  * selecting points emits 'selectionchange'); these are not passed on again.
+  *
+  * @param {object}   source - The instance where the event happened, or null
+  * @param {function} action - Called with each other instance
+  */
+Link.prototype.broadcast = function(source, action) {
+  if (this.busy) {
+    return;
+  }
+
+  this.busy = true;
+  try {
+    this.instances.forEach((vis) => {
+      if (vis !== source) {
+        action(vis);
+      }
+    });
+  } finally {
+    this.busy = false;
+  }
+};
+
+/**
+  * Get the IDs of an instance's data objects.
+  *
+  * @param {object} vis     - An MDSVis instance
+  * @param {array}  records - Data objects of `vis`
+  * @returns {array} The IDs (see `MDSVis.getSampleId`)
+  */
+function getIds(vis, records) {
+  return records.map(record => vis.getSampleId(record));
+}
+
+// exports
+module.exports.Link = Link;
@@ -0,0 +1,387 @@
+/*
+ * Loaders for delimited (CSV/TSV) text.
+ *
+ * Parse coordinates or distance matrices, plus a separate sample sheet of
+ * metadata, and join them on a sample ID column so that every coordinate is
+ * matched with the right metadata regardless of row order. Also format records
+ * as delimited text, for export.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const mds = require('./mds');
+
+// values treated as missing when typing numeric columns
+const missingValues = ['', 'NA', 'NaN', 'null'];
+
+/**
+  * Split one line of delimited text into fields.
+  *
+  * Fields may be enclosed in double quotes, in which case they can contain the
+  * delimiter, and a literal double quote is written as two double quotes.
+  * Quoted fields cannot span multiple lines. Whitespace around unquoted fields
+  * (and around the quotes) is trimmed, but the content of quoted fields is
+  * kept exactly as written.
+  *
+  * @param {string} line      - The line to split
+  * @param {string} delimiter - The field delimiter, e.g. ',' or '\t'
+  * @returns {array} The fields, as strings
+  */
+function splitLine(line, delimiter) {
+  var state = {delimiter: delimiter, fields: [], field: '', quoted: false,
+               wasQuoted: false};
+  for (var i=0; i < line.length; i++) {
+    i = readChar(state, line, i);
+  }
+  endField(state);
+  return state.fields;
+}
+
+/**
+  * Read one character of a line of delimited text (see `splitLine`).
+  *
+  * @param {object} state - The fields read so far, the current field, and
+  *                         whether it is (or was) quoted (modified)
+  * @param {string} line  - The line being split
+  * @param {number} i     - The index of the character
+  * @returns {number} The index of the last character read (an escaped quote
+  *                   is two characters)
+  */
+function readChar(state, line, i) {
+  var ch = line[i];
+  if (state.quoted && ch === '"' && line[i+1] === '"') {
+    state.field += '"';
+    return i + 1;
+  }
+
+  if (ch === '"') {
+    if (!state.wasQuoted && state.field.trim() === '') {
+      // whitespace before the opening quote isn't part of the field
+      state.field = '';
+    }
+    state.quoted = !state.quoted;
+    state.wasQuoted = true;
+  } else if (ch === state.delimiter && !state.quoted) {
+    endField(state);
+  } else if (state.quoted || !state.wasQuoted || !/\s/.test(ch)) {
+    // (nor is whitespace after the closing quote)
+    state.field += ch;
+  }
+  return i;
+}
+
+/**
+  * Finish the current field of a line (see `splitLine`), trimming it unless
+  * it was quoted.
+  *
+  * @param {object} state - See `readChar` (modified)
+  */
+function endField(state) {
+  state.fields.push(state.wasQuoted ? state.field : state.field.trim());
+  state.field = '';
+  state.quoted = false;
+  state.wasQuoted = false;
+}
+
+/**
+  * Convert a column of strings to numbers, if every non-missing value is
+  * numeric. Missing values in numeric columns become null.
+  *
+  * @param {array} values - The column values, as strings
+  * @returns {array} The typed values
+  */
+function typeColumn(values) {
+  var present = values.filter(val => missingValues.indexOf(val) === -1);
+  var numeric = present.length > 0 &&
+      _.every(present, val => !isNaN(Number(val)));
+
+  if (!numeric) {
+    return values;
+  }
+  return values.map(val => {
+    return missingValues.indexOf(val) === -1 ? Number(val) : null;
+  });
+}
+
+/**
+  * Parse delimited text with a header row into an array of records.
+  *
+  * The delimiter is detected from the header row (tab if it contains a tab,
+  * otherwise comma) unless specified. Numeric columns are typed automatically,
+  * except for the `idKey` column: IDs such as '007' are kept as written.
+  *
+  * For example,
+  *
+  *     > parseDelimited('id,age,tissue\nA,3,BM\nB,5,Spleen')
+  *     { columns: [ 'id', 'age', 'tissue' ],
+  *       rows: [ { id: 'A', age: 3, tissue: 'BM' },
+  *               { id: 'B', age: 5, tissue: 'Spleen' } ] }
+  *
+  * @param {string} text - The delimited text
+  * @param {object} opts - Options: `delimiter` (default: auto-detect) and
+  *                        `idKey`, a column kept as strings (default: none)
+  *
+  * @returns {object} `{columns: array, rows: array}`
+  *
+  * @throws Error If there is no header row, or a row has the wrong number of
+  *               fields.
+  */
+function parseDelimited(text, opts) {
+  opts = opts || {};
+  return typeTable(splitTable(text, opts), opts.idKey);
+}
+
+/**
+  * Split delimited text with a header row into fields (see `parseDelimited`).
+  *
+  * @param {string} text - The delimited text
+  * @param {object} opts - Options: `delimiter` (default: auto-detect)
+  *
+  * @returns {object} `{columns: array, fields: array}`, where `fields` holds
+  *                   the (string) fields of each row
+  *
+  * @throws Error If there is no header row, or a row has the wrong number of
+  *               fields.
+  */
+function splitTable(text, opts) {
+  var lines = text.split(/\r\n|\r|\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('no header row found (mdsvis.parseDelimited)');
+  }
+
+  var delimiter = opts.delimiter ||
+      (lines[0].indexOf('\t') !== -1 ? '\t' : ',');
+  var columns = splitLine(lines[0], delimiter);
+  var fields = lines.slice(1).map((line, i) => {
+    var row = splitLine(line, delimiter);
+    if (row.length !== columns.length) {
+      throw new Error('row ' + (i+1) + ' has ' + row.length + ' fields, ' +
+                      'expected ' + columns.length +
+                      ' (mdsvis.parseDelimited)');
+    }
+    return row;
+  });
+
+  return {columns: columns, fields: fields};
+}
+
+/**
+  * Convert split delimited text (see `splitTable`) into records, typing each
+  * column except the ID column (see `typeColumn`).
+  *
+  * @param {object} table - `{columns, fields}`, as returned by `splitTable`
+  * @param {string} idKey - Name of a column to keep as strings, if any
+  * @returns {object} `{columns: array, rows: array}`
+  */
+function typeTable(table, idKey) {
+  var typed = _.unzip(table.fields).map((values, j) => {
+    return table.columns[j] === idKey ? values : typeColumn(values);
+  });
+  var rows = _.zip.apply(_, typed).map(row => _.object(table.columns, row));
+
+  return {columns: table.columns, rows: rows};
+}
+
+/**
+  * Get the sample IDs of a parsed table, checking that they are unique.
+  *
+  * @param {object} table - A table returned by `parseDelimited`
+  * @param {string} idKey - Name of the sample ID column
+  * @returns {array} The sample IDs, as strings, in row order
+  *
+  * @throws Error If the ID column is absent or contains duplicates.
+  */
+function sampleIds(table, idKey) {
+  if (table.columns.indexOf(idKey) === -1) {
+    throw new Error('no sample ID column "' + idKey + '" found ' +
+                    '(mdsvis.loadDelimited)');
+  }
+  var ids = table.rows.map(row => String(row[idKey]));
+  var duplicates = _.chain(ids).countBy().pick(count => count > 1)
+      .keys().value();
+  if (duplicates.length > 0) {
+    throw new Error('duplicate sample IDs: ' + duplicates.join(', ') +
+                    ' (mdsvis.loadDelimited)');
+  }
+  return ids;
+}
+
+/**
+  * Extract coordinates from a parsed table: every column except the sample ID
+  * column is a dimension.
+  *
+  * @param {object} table - A table returned by `parseDelimited`
+  * @param {string} idKey - Name of the sample ID column
+  * @returns {object} `{ids: array, coords: array}`
+  *
+  * @throws Error If any coordinate is not a number.
+  */
+function coordsFromTable(table, idKey) {
+  var dims = _.without(table.columns, idKey);
+  var ids = sampleIds(table, idKey);
+  var coords = table.rows.map(row => dims.map(dim => row[dim]));
+  if (_.some(_.flatten(coords), val => typeof val !== 'number')) {
+    throw new Error('coordinates must all be numeric (mdsvis.loadDelimited)');
+  }
+  return {ids: ids, coords: coords};
+}
+
+/**
+  * Extract a distance matrix from a parsed table. The header row names the
+  * sample of each column; the matrix is reordered so that its columns follow
+  * the same order as its rows.
+  *
+  * @param {object} table - A table returned by `parseDelimited`
+  * @param {string} idKey - Name of the sample ID column (the first header)
+  * @returns {object} `{ids: array, distances: array}`
+  *
+  * @throws Error If the row and column sample IDs do not match.
+  */
+function distancesFromTable(table, idKey) {
+  var ids = sampleIds(table, idKey);
+  var colIds = _.without(table.columns, idKey);
+  if (_.difference(ids, colIds).length > 0 || ids.length !== colIds.length) {
+    throw new Error('row and column sample IDs of the distance matrix ' +
+                    'do not match (mdsvis.loadDelimited)');
+  }
+  var distances = table.rows.map(row => ids.map(id => row[id]));
+  return {ids: ids, distances: distances};
+}
+
+/**
+  * Load coordinates (or a distance matrix) and a sample sheet from delimited
+  * text, joining them on a sample ID column.
+  *
+  * Only samples present in both tables are kept, in the order of the sample
+  * sheet. Samples missing from either table are reported rather than silently
+  * mislabelled. If a distance matrix is supplied, coordinates are computed by
+  * classical MDS, and the re-ordered distance matrix is also returned.
+  *
+  * @param {string} dataText   - Coordinates (one row per sample, one column
+  *                               per dimension) or a distance matrix, each with
+  *                               a sample ID column
+  * @param {string} sampleText - Sample sheet, one row of metadata per sample
+  * @param {object} opts       - Options:
+  *                                `idKey`     - sample ID column name
+  *                                              (default: first column of
+  *                                              `dataText`)
+  *                                `type`      - 'coords' (default) or
+  *                                              'distances'
+  *                                `ndim`      - dimensions for MDS, if `type`
+  *                                              is 'distances' (default 2)
+  *                                `delimiter` - see `parseDelimited`
+  *
+  * @returns {object} An object with properties
+  *                     `ids`       - the joined sample IDs
+  *                     `coords`    - coordinates, ready for `create`
+  *                     `metadata`  - metadata records, matching `coords`
+  *                     `opts`      - options for `create`
+  *                     `distances` - the distance matrix (if supplied)
+  *                     `missing`   - IDs with data but no sample sheet row
+  *                     `extra`     - IDs in the sample sheet but not the data
+  *
+  * @throws Error If the tables cannot be parsed, or no sample IDs match.
+  */
+function loadDelimited(dataText, sampleText, opts) {
+  opts = _.extend({type: 'coords', ndim: 2}, opts);
+  var split = splitTable(dataText, opts);
+  var idKey = opts.idKey || split.columns[0];
+  // IDs are kept as strings, so that e.g. '007' matches in both tables
+  var dataTable = typeTable(split, idKey);
+  var sheet = typeTable(splitTable(sampleText, opts), idKey);
+
+  var sheetIds = sampleIds(sheet, idKey);
+  var parsed = opts.type === 'distances' ?
+      distancesFromTable(dataTable, idKey) : coordsFromTable(dataTable, idKey);
+  var dataIds = parsed.ids;
+  var ids = _.intersection(sheetIds, dataIds);
+  if (ids.length === 0) {
+    throw new Error('no sample IDs in common (mdsvis.loadDelimited)');
+  }
+
+  var result = {
+    ids: ids,
+    metadata: ids.map(id => sheet.rows[sheetIds.indexOf(id)]),
+    missing: _.difference(dataIds, sheetIds),
+    extra: _.difference(sheetIds, dataIds)
+  };
+  _.extend(result, joinData(parsed, ids, opts));
+  result.opts = {metadata: result.metadata};
+
+  return result;
+}
+
+/**
+  * Select the joined samples' coordinates (or distances, from which
+  * coordinates are computed) in the given order.
+  *
+  * @param {object} parsed - Result of `coordsFromTable` or
+  *                          `distancesFromTable`
+  * @param {array}  ids    - The joined sample IDs, in order
+  * @param {object} opts   - Loader options (see `loadDelimited`)
+  * @returns {object} `{coords}`, plus `distances` for a distance matrix
+  */
+function joinData(parsed, ids, opts) {
+  var index = ids.map(id => parsed.ids.indexOf(id));
+  if (opts.type !== 'distances') {
+    return {coords: index.map(i => parsed.coords[i])};
+  }
+
+  var distances = index.map(i => index.map(j => parsed.distances[i][j]));
+  return {coords: mds.mds(distances, opts.ndim).coords, distances: distances};
+}
+
+/**
+  * Format one field for delimited text, quoting it if necessary (see
+  * `splitLine`). Missing values become empty fields.
+  *
+  * @param          val       - The field value
+  * @param {string} delimiter - The field delimiter
+  * @returns {string} The formatted field
+  */
+function formatField(val, delimiter) {
+  if (val === null || val === undefined) {
+    return '';
+  }
+  var str = String(val);
+  if (str.indexOf(delimiter) !== -1 || /["\r\n]/.test(str)) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+  * Format an array of records as delimited text with a header row: the
+  * inverse of `parseDelimited`.
+  *
+  * For example,
+  *
+  *     > formatDelimited(['id', 'tissue'], [{id: 'A', tissue: 'BM, LN'}])
+  *     'id,tissue\nA,"BM, LN"\n'
+  *
+  * @param {array}  columns - The column names, in order
+  * @param {array}  rows    - The records, keyed by column name
+  * @param {object} opts    - Options: `delimiter` (default ',')
+  * @returns {string} The delimited text
+  */
+function formatDelimited(columns, rows, opts) {
+  var delimiter = (opts && opts.delimiter) || ',';
+  var lines = [columns].concat(rows.map(row => columns.map(col => row[col])));
+
+  return lines.map((fields) => {
+    return fields.map(val => formatField(val, delimiter)).join(delimiter);
+  }).join('\n') + '\n';
+}
+
+// exports
+module.exports.parseDelimited = parseDelimited;
+module.exports.formatDelimited = formatDelimited;
+module.exports.loadDelimited = loadDelimited;
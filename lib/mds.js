@@ -0,0 +1,182 @@
+/*
+ * Classical (Torgerson) Multidimensional Scaling (MDS).
+ *
+ * Generate low-dimensional coordinates from a matrix of pairwise distances,
+ * as described in
+ *
+ *   Torgerson, Warren S. "Multidimensional scaling: I. Theory and method."
+ *   Psychometrika 17, no. 4 (1952): 401-419.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const linalg = require('./linalg');
+
+/**
+  * Check that a distance matrix is square and symmetric.
+  *
+  * @param {array} distances - The matrix to check
+  *
+  * @throws Error If the matrix is empty, not square, or not symmetric.
+  */
+function checkDistances(distances) {
+  var n = distances ? distances.length : 0;
+  if (n === 0) {
+    throw new Error('no distance matrix supplied (mdsvis.mds)');
+  }
+
+  distances.forEach((row, i) => {
+    if (row.length !== n) {
+      throw new Error('distance matrix must be square (mdsvis.mds)');
+    }
+    for (var j=0; j < i; j++) {
+      var tol = 1e-8 * Math.max(1, Math.abs(row[j]));
+      if (Math.abs(row[j] - distances[j][i]) > tol) {
+        throw new Error('distance matrix must be symmetric (mdsvis.mds)');
+      }
+    }
+  });
+}
+
+/**
+  * Double-centre a matrix of squared distances.
+  *
+  * Given distances D, compute B = -1/2 J D^2 J, where J = I - 11'/n is the
+  * centring matrix. B is the matrix of inner products of the (centred)
+  * configuration, so its eigenvectors give the MDS coordinates.
+  *
+  * @param {array} distances - A symmetric n x n distance matrix
+  * @returns {array} The double-centred n x n matrix B
+  */
+function doubleCentre(distances) {
+  var n = distances.length;
+  var squared = distances.map(row => row.map(d => d * d));
+  var rowMeans = squared.map(row => {
+    return row.reduce((sum, val) => sum + val, 0) / n;
+  });
+  var grandMean = rowMeans.reduce((sum, val) => sum + val, 0) / n;
+
+  return squared.map((row, i) => {
+    return row.map((val, j) => {
+      return -0.5 * (val - rowMeans[i] - rowMeans[j] + grandMean);
+    });
+  });
+}
+
+/**
+  * Classical (Torgerson) MDS.
+  *
+  * Embed the points described by a symmetric distance matrix in `ndim`
+  * dimensions, such that Euclidean distances between the resulting coordinates
+  * approximate the supplied distances as closely as possible (in the least
+  * squares sense, on the scale of inner products).
+  *
+  * The proportion of variance for each dimension is its eigenvalue divided by
+  * the trace of the double-centred matrix, i.e. the sum of all eigenvalues.
+  * If the distances are not Euclidean, some eigenvalues may be negative; the
+  * corresponding dimensions are given zero coordinates.
+  *
+  * For example,
+  *
+  *     > mds([[0,3,4],[3,0,5],[4,5,0]], 2).coords
+  *     [ [ -0.66, 1.53 ], [ -2.15, -1.07 ], [ 2.81, -0.46 ] ]   (approx.)
+  *
+  * @param {array}  distances - A symmetric n x n matrix of distances
+  * @param {number} ndim      - Number of dimensions to compute (default 2)
+  *
+  * @returns {object} An object with properties
+  *                     `coords`      - n arrays of `ndim` coordinates
+  *                     `eigenvalues` - the `ndim` largest eigenvalues
+  *                     `proportions` - proportion of variance per dimension
+  *
+  * @throws Error If the distance matrix is invalid, `ndim` is not between 1
+  *               and n, or the eigen-decomposition fails to converge.
+  */
+function mds(distances, ndim) {
+  checkDistances(distances);
+  ndim = ndim === undefined ? 2 : ndim;
+  if (ndim < 1 || ndim > distances.length) {
+    throw new Error('ndim must be between 1 and ' + distances.length +
+                    ' (mdsvis.mds)');
+  }
+
+  var centred = doubleCentre(distances);
+  var trace = centred.reduce((sum, row, i) => sum + row[i], 0);
+  var eigen = linalg.symmetricEigen(centred, ndim);
+
+  // coordinates are eigenvectors scaled by sqrt(eigenvalue)
+  var scales = eigen.values.map(val => Math.sqrt(Math.max(val, 0)));
+  var coords = distances.map((row, i) => {
+    return eigen.vectors.map((vec, k) => vec[i] * scales[k]);
+  });
+
+  return {
+    coords: coords,
+    eigenvalues: eigen.values,
+    proportions: eigen.values.map(val => trace > 0 ? val / trace : 0)
+  };
+}
+
+/**
+  * Project new points onto an existing classical MDS configuration, without
+  * recomputing it, by Gower's add-a-point formula:
+  *
+  *   Gower, J. C. "Adding a point to vector diagrams in multivariate
+  *   analysis." Biometrika 55, no. 3 (1968): 582-585.
+  *
+  * A new point with squared distances `a` to the reference points is placed
+  * at `y = 1/2 L^-1 X' (b - a)`, where X holds the reference coordinates, L is
+  * the diagonal matrix of their eigenvalues (X'X) and b is the diagonal of the
+  * double-centred reference distance matrix. New points whose distances are
+  * consistent with the reference configuration land exactly where they would
+  * have been placed by `mds`; reference points project onto themselves.
+  *
+  * @param {array} distances    - The symmetric n x n matrix of distances
+  *                               between the reference points
+  * @param {array} coords       - The n arrays of reference coordinates, as
+  *                               returned by `mds(distances, ndim)`
+  * @param {array} newDistances - m arrays of the distances from each new
+  *                               point to the n reference points
+  *
+  * @returns {array} m arrays of coordinates for the new points
+  *
+  * @throws Error If the distance matrices don't match the coordinates.
+  */
+function project(distances, coords, newDistances) {
+  checkDistances(distances);
+  var n = distances.length;
+  if (coords.length !== n || _.some(newDistances, row => row.length !== n)) {
+    throw new Error('coordinates and distances to new points must match the ' +
+                    n + ' reference points (mdsvis.project)');
+  }
+
+  var centred = doubleCentre(distances);
+  var ndim = coords[0].length;
+  var eigenvalues = _.range(ndim).map((k) => {
+    return coords.reduce((sum, row) => sum + row[k] * row[k], 0);
+  });
+
+  return newDistances.map((row) => {
+    var diff = row.map((d, i) => centred[i][i] - d * d);
+    return eigenvalues.map((val, k) => {
+      var sum = coords.reduce((total, point, i) => {
+        return total + point[k] * diff[i];
+      }, 0);
+      return val > 0 ? sum / (2 * val) : 0;
+    });
+  });
+}
+
+// exports
+module.exports.mds = mds;
+module.exports.project = project;
+module.exports.checkDistances = checkDistances;
+module.exports.doubleCentre = doubleCentre;
@@ -1,7 +1,7 @@
 /*
- * Multidimensional Scaling (MDS) 2D Visualisation.
+ * Multidimensional Scaling (MDS) 2D/3D Visualisation.
  * Generate a scatterplot of higher-dimensional coordinates, presumed to
- * have been generated using MDS. Visualise two dimensions at a time.
+ * have been generated using MDS. Visualise two (or three) dimensions at a time.
  *
  * Supply metadata along with the coordinates to allow grouping
  * of the data on different properties.
@@ -14,14 +14,138 @@
 'use strict';
 
 // external dependencies
-const Plotly = require('plotly.js/lib/index-basic');
 const _ = require('underscore');
+const EventEmitter = require('events').EventEmitter;
 
 // internal dependencies
-//const mds = require('biojs-algo-mds');
+const Plotly = require('./plotly');
+const mds = require('./mds');
+const nmds = require('./nmds');
+const distance = require('./distance');
+const loaders = require('./loaders');
+const scales = require('./scales');
+const diagnostics = require('./diagnostics');
+const procrustes = require('./procrustes');
+const summaries = require('./summaries');
+const neighbors = require('./neighbors');
+const asyncCompute = require('./async');
+const Link = require('./link').Link;
 const merge = require('./utils').merge;
 const handlers = require('./handlers');
 
+// names of the axes, in order
+const axisNames = ['x', 'y', 'z'];
+
+// default colours of Plotly traces, in order
+const defaultColors = [
+  '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd',
+  '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'
+];
+
+// Plotly marker symbols, for encoding a second metadata key
+const symbols2d = [
+  'circle', 'square', 'diamond', 'triangle-up', 'cross', 'x',
+  'triangle-down', 'pentagon', 'hexagon', 'star', 'hourglass', 'bowtie'
+];
+const symbols3d = [
+  'circle', 'square', 'diamond', 'cross', 'x',
+  'circle-open', 'square-open', 'diamond-open'
+];
+
+// symbol selector option meaning 'no symbolByKey'
+const noSymbolOption = '(none)';
+
+// label selector option meaning 'no labelKey' (points are labelled by group)
+const groupLabelOption = '(group)';
+
+// size (in pixels) of each cell of the overview
+const overviewCellSize = 150;
+
+// width (in pixels) of the scree plot, and its bar colours for visualised and
+// other dimensions
+const screeWidth = 250;
+const screeColors = {shown: '#1f77b4', other: '#c7c7c7'};
+
+// size (in pixels) of the Shepard diagram
+const shepardSize = 400;
+
+// largest number of pairs drawn as individual points in the Shepard diagram
+// (n data points have n(n-1)/2 pairs); more pairs are binned into a 2D
+// histogram with shepardBins bins along each axis
+const maxShepardPairs = 20000;
+const shepardBins = 60;
+
+// ways of showing per-sample stress on the markers of the main plot, with
+// the range of marker sizes or opacities (from least to most stress)
+const stressMappings = ['size', 'opacity'];
+const stressRanges = {size: [6, 20], opacity: [0.2, 1]};
+
+// stress mapping selector option meaning 'per-sample stress is not shown'
+const noStressOption = '(none)';
+
+// colour of the markers of a Procrustes overlay, and of the arrows linking
+// them to the matching data points
+const overlayColor = '#888';
+
+// group summaries shown by default: centroids, convex hulls, and the levels
+// of confidence ellipses
+const defaultSummaries = {centroids: false, hulls: false, ellipses: []};
+
+// ellipse selector options (confidence levels), with their labels
+const ellipseOptions = [[], [0.68], [0.95], [0.68, 0.95]];
+const ellipseLabels = ['(none)', '68%', '95%', '68% and 95%'];
+
+// largest number of nearest neighbours which can be shown on hover, and the
+// numbers offered by the menu bar (0 turns the neighbour lines off)
+const maxNeighbors = 20;
+const neighborOptions = [0, 1, 3, 5, 10, 20];
+
+// colours of the neighbour lines: to neighbours in the full space, and to
+// points which are only neighbours in the plot
+const neighborColors = {full: '#444', plotOnly: '#d62728'};
+
+// replacements for characters which are special in HTML
+const htmlEscapes = {
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+};
+
+// search field selector option meaning 'search all metadata fields'
+const allFieldsOption = '(all fields)';
+
+// maximum number of search matches to annotate
+const maxSearchAnnotations = 20;
+
+// maximum number of distinct values of a non-numeric metadata key for it to
+// be included in the filter panel (e.g. unique sample IDs are left out)
+const maxFilterValues = 50;
+
+// number of steps of the filter panel's range sliders
+const rangeSteps = 100;
+
+// view state events, which trigger an update of the URL hash (see `watchHash`)
+const stateEvents = ['modechange', 'dimensionschange', 'groupchange',
+                     'labelschange', 'labelkeychange', 'symbolchange',
+                     'selectionchange',
+                     'visibilitychange', 'rangechange', 'filterchange',
+                     'statechange'];
+
+// export formats, and default image export options
+const imageFormats = ['png', 'svg'];
+const dataFormats = ['csv', 'json'];
+const defaultExportOptions = {filename: 'mds-plot', scale: 1};
+
+// animated transition defaults; maxPoints is the largest number of data
+// points for which transitions are animated
+const defaultTransition = {duration: 500, easing: 'cubic-in-out',
+                           maxPoints: 2000};
+
+// opacity of data points which aren't highlighted, relative to the marker
+// opacity of highlighted points
+const dimmedOpacity = 0.2;
+
+// padding of animated axis ranges, as a proportion of the data range
+const rangePadding = 0.05;
+
 // plotly config defaults
 const defaultLayout = {
   title: 'MDS Plot',
@@ -37,12 +161,16 @@ const defaultLayout = {
     title: 'Dimension 2',
     showgrid: false,
     zeroline: true
+  },
+  // axes for 3D mode
+  scene: {
+    xaxis: {title: 'Dimension 1'},
+    yaxis: {title: 'Dimension 2'},
+    zaxis: {title: 'Dimension 3'}
   }
 };
 const defaultConfig = {
   modeBarButtonsToRemove: [
-    'select2d',
-    'lasso2d',
     'autoScale2d',
     'hoverClosestCartesian',
     'hoverCompareCartesian'
@@ -75,6 +203,9 @@ const defaultTrace = {
   * @property {number}   ndim             - Coordinates have `ndim` dimensions
   * @property {number}   xDim             - Dimension to visualise on the x axis
   * @property {number}   yDim             - Dimension to visualise on the y axis
+  * @property {number}   zDim             - Dimension to visualise on the z axis
+  *                                         (3D mode only)
+  * @property {string}   mode             - Either '2d' or '3d'
   * @property {bool}     showLabels       - Should labels be shown on plot?
   * @property {array}    data             - Array of objects representing the
   *                                         data points, each having at least 
@@ -85,66 +216,187 @@ const defaultTrace = {
   *                                         corresponding coordinate
   * @property {bool}     metadataSupplied - Was metadata supplied at
   *                                         construction time?
+  * @property {string}   idKey            - Metadata property holding a
+  *                                         unique ID for each data point
   * @property {string}   groupByKey       - Metadata property on which to group
   *                                         the visualised data
+  * @property {string}   labelKey         - Metadata property labelling each
+  *                                         data point; if undefined, points
+  *                                         are labelled by their group
+  * @property {array}    hoverKeys        - Metadata properties listed in the
+  *                                         hover text of each data point
+  * @property {object}   filters          - Filters on metadata properties,
+  *                                         by property (see `setFilter`)
+  * @property {string}   symbolByKey      - Metadata property determining the
+  *                                         marker symbol of each data point
+  * @property {number}   stress           - Stress of the MDS fit, if known;
+  *                                         shown in the plot title
+  * @property {bool}     showOverview     - Should the overview of all
+  *                                         dimension pairs be shown?
+  * @property {array}    proportions      - Proportion of variance explained
+  *                                         by each dimension, if known
+  * @property {bool}     showScree        - Should the scree plot be shown?
+  * @property {array}    distances        - The distance matrix from which
+  *                                         the coordinates were computed,
+  *                                         if supplied
+  * @property {number}   diagnosticDims   - Number of dimensions compared
+  *                                         with the distances by the
+  *                                         diagnostics
+  * @property {string}   stressMapping    - Marker property ('size' or
+  *                                         'opacity') showing per-sample
+  *                                         stress, if any
+  * @property {bool}     showDiagnostics  - Should the diagnostics panel be
+  *                                         shown?
+  * @property {object}   summaries        - Group summaries to show:
+  *                                         `{centroids: bool, hulls: bool,
+  *                                         ellipses: array of levels}`
+  * @property {number}   neighbors        - Number of nearest neighbours
+  *                                         linked to a hovered data point
+  *                                         (0 for none)
+  * @property {Map}      neighborIndex    - Maps the index of each data point
+  *                                         hovered so far to its nearest
+  *                                         neighbours in the full space (see
+  *                                         `getNearestNeighbors`)
+  * @property {array}    neighborShapes   - The Plotly shapes drawing the
+  *                                         current neighbour lines
+  * @property {array}    visibleData      - The data objects which are shown,
+  *                                         cached between hovers (see
+  *                                         `getCachedVisibleData`)
+  * @property {bool}     responsive       - Should the plot width track the
+  *                                         width of the root element?
+  * @property {array}    hiddenGroups     - Values of the groups whose traces
+  *                                         are hidden
+  * @property {string}   hashKey          - Key under which the view state is
+  *                                         mirrored in the URL hash, if any
+  * @property {object}   exportOptions    - Default options for image export
+  *                                         (see `exportImage`)
+  * @property {object}   transition       - Animated transition options
+  *                                         (`duration`, `easing` and
+  *                                         `maxPoints`), if enabled
+  * @property {string}   colorScale       - Plotly colour scale for numeric
+  *                                         groupByKeys
+  * @property {array}    colorRange       - [min, max] of the colour scale
+  * @property {number}   colorBins        - If set, numeric groupByKeys are
+  *                                         split into this many quantile bins
+  *                                         instead of using a colour scale
   * @property {object}   layout           - Object storing Plotly layout config
   * @property {object}   configOptions    - Object storing misc Plotly config
   * @property {object}   traceConfig      - Object storing Plotly trace config
   * @property {function} onClick          - Click event handler
   * @property {function} onHover          - Hover event handler
   * @property {function} onUnhover        - Unhover event handler
+  * @property {function} onSelect         - Selection event handler
+  * @property {array}    selected         - Indices (into `data`) of the
+  *                                         selected data points
+  * @property {Set}      highlighted      - IDs of the highlighted data
+  *                                         points, if any
+  * @property {object}   searchResult     - The current search matches
+  *                                         (`{matches, current}`), if any
+  * @property {array}    projected        - Data objects of samples projected
+  *                                         onto the configuration (see
+  *                                         `addProjectedSamples`)
+  * @property {object}   overlay          - A second configuration overlaid
+  *                                         on the plot (`{name, coords,
+  *                                         statistic}`), if any
+  * @property {object}   emitter          - Emits view state change events
   */
 var MDSVis = function(el, coords, opts) {
-  if (el === undefined) {
-    throw new Error('no root div supplied (mdsvis.create)');
-  }
+  checkArguments(el, coords);
   this.rootDiv = el;
-
-  if (coords === undefined) {
-    throw new Error('no coords supplied (mdsvis.create)');
-  }
   this.coords = coords;
   this.ndim = this.coords[0].length;
+  this.emitter = new EventEmitter();
 
   opts = opts || {};
-  this.initDimensions(opts.xDim, opts.yDim);
+  this.initDimensions(opts.xDim, opts.yDim, opts.zDim);
+  this.initMode(opts.mode);
   this.initShowLabels(opts.showLabels);
-  this.initData(opts.metadata, opts.groupByKey);
+  this.initData(opts.metadata, opts.groupByKey, opts.idKey);
+  this.initDisplayOptions(opts);
   this.initLayoutAndConfig(opts.layout, opts.configOptions, opts.traceConfig);
   this.initEventHandlers(opts.onClick, opts.onHover, opts.onUnhover);
+  this.initSelection(opts.onSelect);
+  this.initFilters(opts.filters);
 };
 
 /**
  * Set dimensions to visualise initially.
  *
- * By default, xDim = 1 and yDim = 2. If the user has specified
- * a valid xDim, yDim pair in the options object, that takes precedence.
+ * By default, xDim = 1, yDim = 2 and zDim = 3. If the user has specified
+ * a valid xDim, yDim pair in the options object, that takes precedence; and
+ * likewise for a valid xDim, yDim, zDim triple.
  * See README for description of valid xDim, yDim pairs.
  *
  * @param {number} _xDim - Initial dimension to visualise on x axis
  * @param {number} _yDim - Initial dimension to visualise on y axis
+ * @param {number} _zDim - Initial dimension to visualise on z axis (3D only)
  *
  * @throws Error If only one of _xDim or _yDim are supplied, or if _xDim, _yDim
- *               is not a valid pair.
+ *               is not a valid pair, or if _zDim does not complete a valid
+ *               triple.
  */
-MDSVis.prototype.initDimensions = function(_xDim, _yDim) {
+MDSVis.prototype.initDimensions = function(_xDim, _yDim, _zDim) {
   this.xDim = 1;
   this.yDim = 2;
+  this.zDim = 3;
 
   if (_xDim !== undefined && _yDim !== undefined) {
-    // get all valid dimension pairs
-    var validDims = dimensionPairs(this.ndim);
-    var validDimStrings = _.map(validDims, JSON.stringify);
-    var candidate = JSON.stringify([_xDim, _yDim]);
-    if (validDimStrings.indexOf(candidate) === -1) {
+    if (!isValidDims([_xDim, _yDim], this.ndim)) {
       throw new Error('invalid xDim,yDim pair supplied (mdsvis.create)');
-    } else {
-      this.xDim = _xDim;
-      this.yDim = _yDim;
     }
+    this.xDim = _xDim;
+    this.yDim = _yDim;
   } else if (_xDim !== undefined || _yDim !== undefined) {
     throw new Error('only one of xDim or yDim supplied (mdsvis.create)');
   }
+
+  if (_zDim !== undefined) {
+    if (!isValidDims([this.xDim, this.yDim, _zDim], this.ndim)) {
+      throw new Error('invalid xDim,yDim,zDim triple supplied ' +
+                      '(mdsvis.create)');
+    }
+    this.zDim = _zDim;
+  }
+};
+
+/**
+ * Set whether the data should initially be visualised in 2D or 3D.
+ *
+ * By default, the visualisation is 2D.
+ *
+ * @param {string} _mode - Either '2d' or '3d'
+ *
+ * @throws Error If _mode is not valid, or is '3d' but the data has fewer than
+ *               three dimensions.
+ */
+MDSVis.prototype.initMode = function(_mode) {
+  this.mode = '2d';
+
+  if (_mode !== undefined) {
+    checkMode(_mode, this.ndim, 'mdsvis.create');
+    this.mode = _mode;
+    this.completeTriple();
+  }
+};
+
+/**
+ * Make sure xDim, yDim and zDim form a valid triple, as required by 3D mode.
+ *
+ * If they don't already, zDim becomes the lowest dimension which isn't xDim
+ * or yDim, and the three dimensions are sorted so that xDim < yDim < zDim.
+ */
+MDSVis.prototype.completeTriple = function() {
+  var triple = [this.xDim, this.yDim, this.zDim];
+  if (isValidDims(triple, this.ndim)) {
+    return;
+  }
+
+  var pair = [this.xDim, this.yDim];
+  var extra = _.difference(_.range(1, this.ndim + 1), pair)[0];
+  triple = _.sortBy(pair.concat([extra]));
+  this.xDim = triple[0];
+  this.yDim = triple[1];
+  this.zDim = triple[2];
 };
 
 /**
@@ -193,11 +445,23 @@ MDSVis.prototype.initShowLabels = function(_showLabels) {
  * lexicographic sort value (in this case, 'col'). But the user may also supply
  * an alternate groupByKey.
  *
+ * The user may also supply an idKey: a metadata property holding a unique ID
+ * for each data point. Otherwise, data points are identified by their index.
+ *
  * @param {array}  _metadata   - User-supplied metadata array
  * @param {string} _groupByKey - Property by which to group data, initially
+ * @param {string} _idKey      - Property holding unique data point IDs
+ *
+ * @throws Error If _idKey is supplied without metadata, or its values are not
+ *               unique.
  */
-MDSVis.prototype.initData = function(_metadata, _groupByKey) {
+MDSVis.prototype.initData = function(_metadata, _groupByKey, _idKey) {
+  if (_idKey !== undefined) {
+    checkIds(_metadata, _idKey);
+  }
+  this.idKey = _idKey;
   this.metadata = {};
+  this.projected = [];
 
   if (_metadata === undefined) {
     // no metadata supplied - just convert array of arrays to array of objects
@@ -224,6 +488,183 @@ MDSVis.prototype.initData = function(_metadata, _groupByKey) {
   }
 };
 
+/**
+ * Set the metadata properties used to label data points and to describe them
+ * in their hover text.
+ *
+ * By default, data points are labelled by their group, and their hover text
+ * lists every metadata property.
+ *
+ * @param {string} _labelKey  - Property whose values label the data points
+ * @param {array}  _hoverKeys - Properties to list in the hover text
+ *
+ * @throws Error If _labelKey or any of _hoverKeys is not a metadata property.
+ */
+MDSVis.prototype.initLabels = function(_labelKey, _hoverKeys) {
+  var keys = this.getGroupByKeys();
+  if (_labelKey !== undefined && keys.indexOf(_labelKey) === -1) {
+    throw new Error('unknown labelKey "' + _labelKey + '" (mdsvis.create)');
+  }
+  var unknown = _.difference(_hoverKeys, keys);
+  if (unknown.length > 0) {
+    throw new Error('unknown hoverKeys ' + JSON.stringify(unknown) +
+                    ' (mdsvis.create)');
+  }
+
+  this.labelKey = _labelKey;
+  this.hoverKeys = _hoverKeys === undefined ? keys : _hoverKeys;
+};
+
+/**
+ * Set the proportion of variance explained by each dimension, if known.
+ *
+ * Proportions may be supplied directly (e.g. the `proportions` returned by
+ * `mds`), or computed from eigenvalues relative to the total variance. Without
+ * a total variance, the eigenvalues must be the full spectrum (not just one
+ * per dimension), as the total is taken to be their sum. Negative eigenvalues
+ * (of non-Euclidean distances) count as zero.
+ *
+ * @param {array}  _eigenvalues   - Eigenvalues, one per dimension or more
+ * @param {array}  _proportions   - Proportions of variance, one per dimension
+ *                                  or more; takes precedence over _eigenvalues
+ * @param {number} _totalVariance - The total variance (e.g. the sum of all the
+ *                                  eigenvalues), dividing _eigenvalues
+ *
+ * @throws Error If fewer values than dimensions are supplied, or the total
+ *               variance is not a positive number.
+ */
+MDSVis.prototype.initVariance = function(_eigenvalues, _proportions,
+                                         _totalVariance) {
+  var values = _proportions || _eigenvalues;
+  if (values === undefined) {
+    return;
+  }
+  if (values.length < this.ndim) {
+    throw new Error('need ' + (_proportions ? 'proportions' : 'eigenvalues') +
+                    ' for all ' + this.ndim + ' dimensions (mdsvis.create)');
+  }
+  if (_totalVariance !== undefined && (typeof _totalVariance !== 'number' ||
+                                      !isFinite(_totalVariance) ||
+                                      _totalVariance <= 0)) {
+    throw new Error('totalVariance must be a positive number (mdsvis.create)');
+  }
+
+  if (_proportions === undefined) {
+    var positive = values.map(val => Math.max(val, 0));
+    var total = _totalVariance ||
+        positive.reduce((sum, val) => sum + val, 0);
+    values = positive.map(val => total > 0 ? val / total : 0);
+  }
+  this.proportions = values;
+};
+
+/**
+ * Set the distance matrix from which the coordinates were computed, if
+ * supplied, for diagnostics of how well the coordinates preserve it.
+ *
+ * By default, the diagnostics compare all dimensions of the coordinates with
+ * the distances. The diagnostics panel can only be shown, and per-sample
+ * stress mapped onto the markers, if the distances are supplied.
+ *
+ * @param {array}  _distances     - The n x n distance matrix, for n data
+ *                                  points
+ * @param {string} _stressMapping - 'size' or 'opacity', to show per-sample
+ *                                  stress by marker size or opacity
+ * @param {bool}   _show          - Should the diagnostics panel be shown?
+ *
+ * @throws Error If the distance matrix is not n x n, or the stress mapping is
+ *               invalid or supplied without distances.
+ */
+MDSVis.prototype.initDiagnostics = function(_distances, _stressMapping,
+                                            _show) {
+  var n = this.coords.length;
+  var square = (rows) => {
+    return rows.length === n && _.every(rows, row => row.length === n);
+  };
+  if (_distances !== undefined && !square(_distances)) {
+    throw new Error('distances must be a ' + n + ' x ' + n + ' matrix ' +
+                    '(mdsvis.create)');
+  }
+  if (_stressMapping !== undefined) {
+    checkStressMapping(_stressMapping, 'mdsvis.create');
+    if (_distances === undefined) {
+      throw new Error('stressMapping requires distances (mdsvis.create)');
+    }
+  }
+
+  this.distances = _distances;
+  this.diagnosticDims = this.ndim;
+  this.stressMapping = _stressMapping;
+  this.showDiagnostics = Boolean(_show) && _distances !== undefined;
+};
+
+/**
+ * Set miscellaneous display options.
+ *
+ * These are options which only affect how the data points are displayed, or
+ * what is displayed alongside them: e.g. their labels, the colour scale for
+ * numeric metadata, the stress of the MDS fit or the overview panel.
+ *
+ * @param {object} opts - The options object supplied at construction time
+ */
+MDSVis.prototype.initDisplayOptions = function(opts) {
+  this.initLabels(opts.labelKey, opts.hoverKeys);
+  this.initVariance(opts.eigenvalues, opts.proportions, opts.totalVariance);
+  this.initDiagnostics(opts.distances, opts.stressMapping, opts.diagnostics);
+  this.stress = opts.stress;
+  this.showOverview = Boolean(opts.overview);
+  this.showScree = Boolean(opts.scree) && this.proportions !== undefined;
+  this.colorScale = opts.colorScale || 'Viridis';
+  this.colorRange = opts.colorRange;
+  this.colorBins = opts.colorBins;
+  this.initOverlays(opts.summaries, opts.neighbors);
+  this.initSymbols(opts.symbolByKey);
+  this.responsive = Boolean(opts.responsive);
+  this.exportOptions = _.extend({}, defaultExportOptions, opts.exportOptions);
+  this.hashKey = opts.hashState === true ? 'mdsvis' : opts.hashState;
+  this.transition = opts.transition ?
+      _.extend({}, defaultTransition, opts.transition) : undefined;
+};
+
+/**
+ * Set the metadata property determining the marker symbol of each data point.
+ *
+ * By default, all data points have the same symbol.
+ *
+ * @param {string} _symbolByKey - Property whose values determine the symbols
+ *
+ * @throws Error If _symbolByKey is not a metadata property.
+ */
+MDSVis.prototype.initSymbols = function(_symbolByKey) {
+  if (_symbolByKey !== undefined &&
+      this.getGroupByKeys().indexOf(_symbolByKey) === -1) {
+    throw new Error('unknown symbolByKey "' + _symbolByKey + '" ' +
+                    '(mdsvis.create)');
+  }
+  this.symbolByKey = _symbolByKey;
+};
+
+/**
+ * Set which overlays are drawn over the data points: group summaries
+ * (centroids, convex hulls and confidence ellipses), and lines to the nearest
+ * neighbours of a hovered data point.
+ *
+ * @param {object} _summaries - Summaries to show, overriding
+ *                              `defaultSummaries`
+ * @param {number} _neighbors - The number of neighbours (default 0, for none)
+ *
+ * @throws Error If the summaries or the number of neighbours are invalid (see
+ *               `checkSummaries` and `checkNeighbors`).
+ */
+MDSVis.prototype.initOverlays = function(_summaries, _neighbors) {
+  checkSummaries(_summaries || {}, 'mdsvis.create');
+  this.summaries = _.extend({}, defaultSummaries, sortLevels(_summaries));
+  this.neighbors = _neighbors || 0;
+  checkNeighbors(this.neighbors, 'mdsvis.create');
+  this.neighborIndex = new Map();
+  this.neighborShapes = [];
+};
+
 /**
  * Initialise plot layout and configuration.
  *
@@ -235,6 +676,8 @@ MDSVis.prototype.initData = function(_metadata, _groupByKey) {
  * add/override the configuration as they choose. The layout and config objects
  * are passed directly to Plotly, so all Plotly objects should be respected.
  *
+ * If the stress of the MDS fit is known, it is appended to the plot title.
+ *
  * @param {object} _layout        - an object storing Plotly layout config
  * @param {object} _configOptions - an object storing misc Plotly config options
  * @param {object} _traceConfig   - an object storing Plotly trace config
@@ -246,13 +689,17 @@ MDSVis.prototype.initLayoutAndConfig = function(_layout, _configOptions, _traceC
   this.traceConfig = JSON.parse(JSON.stringify(defaultTrace));
 
   // update axes titles
-  this.layout.xaxis.title = 'Dimension ' + this.xDim;
-  this.layout.yaxis.title = 'Dimension ' + this.yDim;
+  this.setAxisTitles();
 
   // merge in custom layout/config objects
   this.layout = merge(this.layout, _layout || {});
   this.configOptions = merge(this.configOptions, _configOptions || {});
   this.traceConfig = merge(this.traceConfig, _traceConfig || {});
+
+  // report the goodness of fit alongside the (possibly custom) title
+  if (this.stress !== undefined) {
+    this.layout.title += ' (stress: ' + this.stress.toFixed(3) + ')';
+  }
 };
 
 /**
@@ -275,6 +722,39 @@ MDSVis.prototype.initEventHandlers = function(_onClick, _onHover, _onUnhover) {
   this.onUnhover = _onUnhover;
 };
 
+/**
+ * Initialise selection of data points (with the box or lasso tools).
+ *
+ * Initially, no points are selected.
+ *
+ * @param {function} _onSelect - selection event handler, called with the
+ *                               array of selected records
+ */
+MDSVis.prototype.initSelection = function(_onSelect) {
+  this.onSelect = _onSelect;
+  this.selected = [];
+};
+
+/**
+ * Initialise the filters on metadata properties, and the groups hidden from
+ * the legend.
+ *
+ * By default, there are no filters and no hidden groups.
+ *
+ * @param {object} _filters - Initial filters, by metadata property (see
+ *                            `setFilter`)
+ *
+ * @throws Error If any filter is invalid.
+ */
+MDSVis.prototype.initFilters = function(_filters) {
+  this.hiddenGroups = [];
+  this.filters = {};
+  _.each(_filters, (filter, key) => {
+    this.checkFilter(key, filter, 'mdsvis.create');
+    this.filters[key] = filter;
+  });
+};
+
 /**
   * Generate the Plotly visualisation.
   *
@@ -290,20 +770,189 @@ MDSVis.prototype.initEventHandlers = function(_onClick, _onHover, _onUnhover) {
   *   <div class='mdsvis-plot js-plotly-plot'>
   *     (Plotly plot)
   *   </div>
+  *   <div class='mdsvis-scree js-plotly-plot'>
+  *     (scree plot, if enabled)
+  *   </div>
   *   <div class='mdsvis-menubar'>
   *     (menu bar ... see `createMenuBar` for details)
   *   </div>
+  *   <details class='mdsvis-filters'>
+  *     (filter panel, if metadata was supplied ... see `createFilterPanel`)
+  *   </details>
+  *   <div class='mdsvis-overview js-plotly-plot'>
+  *     (overview of all dimension pairs, if enabled)
+  *   </div>
+  *   <div class='mdsvis-diagnostics'>
+  *     (diagnostics, if enabled ... see `drawDiagnostics`)
+  *   </div>
   * </div>
+  *
+  * Calling `draw` again replaces the existing plot rather than adding another.
   */
 MDSVis.prototype.draw = function() {
+  this.prepareDraw();
+
   // create div to hold plot
   this.plotDiv = document.createElement('div');
   this.plotDiv.setAttribute('class', 'mdsvis-plot');
   this.rootDiv.appendChild(this.plotDiv);
 
-  // create plot
+  // create plot, at the width of the root div in responsive mode
+  if (this.responsive) {
+    this.fitWidth();
+    this.watchSize();
+  }
+  this.plot();
+  if (this.showScree) {
+    this.drawScree();
+  }
+
+  // create and append menu bar, and filter panel
+  this.menuBar = this.createMenuBar();
+  this.rootDiv.appendChild(this.menuBar);
+  this.drawFilterPanel();
+
+  this.drawPanels();
+};
+
+/**
+  * Draw the overview and diagnostics panels, below the menu bar, if they are
+  * enabled.
+  */
+MDSVis.prototype.drawPanels = function() {
+  if (this.showOverview) {
+    this.drawOverview();
+  }
+  if (this.showDiagnostics) {
+    this.drawDiagnostics();
+  }
+};
+
+/**
+  * Prepare to draw the visualisation: remove the existing plot, if any, and
+  * restore the view state from the URL hash, if it is mirrored there.
+  */
+MDSVis.prototype.prepareDraw = function() {
+  if (this.plotDiv !== undefined) {
+    this.removeElements();
+  }
+  if (this.hashKey) {
+    this.readHash();
+    this.watchHash();
+  }
+};
+
+/**
+  * Remove the visualisation from the DOM, and remove all Plotly, DOM and
+  * change event listeners.
+  *
+  * The instance can still be drawn again afterwards.
+  */
+MDSVis.prototype.destroy = function() {
+  if (this.plotDiv !== undefined) {
+    this.removeElements();
+  }
+  this.emitter.removeAllListeners();
+};
+
+/**
+  * Remove the plot, menu bar and panels from the DOM, purging their Plotly
+  * listeners, and stop tracking the size of the root div.
+  */
+MDSVis.prototype.removeElements = function() {
+  this.unwatchSize();
+  this.unwatchHash();
+  this.removeOverview();
+  this.removeScree();
+  this.removeDiagnostics();
+
+  this.removeFilterPanel();
+
+  Plotly.purge(this.plotDiv);
+  this.rootDiv.removeChild(this.plotDiv);
+  this.rootDiv.removeChild(this.menuBar);
+  this.plotDiv = undefined;
+  this.menuBar = undefined;
+};
+
+// Responsive sizing code
+
+/**
+  * Set the plot width to the width of the root div, if it has one, less the
+  * width of the scree plot if it is shown.
+  *
+  * @returns {bool} Did the width change?
+  */
+MDSVis.prototype.fitWidth = function() {
+  var width = this.rootDiv.clientWidth;
+  if (width > 0 && this.showScree) {
+    width = Math.max(width - screeWidth, screeWidth);
+  }
+  if (width === 0 || width === this.layout.width) {
+    return false;
+  }
+  this.layout.width = width;
+  return true;
+};
+
+/**
+  * Resize the plot and menu bar to fit the root div.
+  *
+  * In responsive mode this is called automatically; otherwise, call it after
+  * changing the width of the root div.
+  */
+MDSVis.prototype.resize = function() {
+  if (this.plotDiv === undefined || !this.fitWidth()) {
+    return;
+  }
+  Plotly.relayout(this.plotDiv, {width: this.layout.width});
+  this.menuBar.style.width = this.layout.width + 'px';
+};
+
+/**
+  * Start tracking the size of the root div: with a ResizeObserver where
+  * available, or otherwise by listening for window resizes.
+  */
+MDSVis.prototype.watchSize = function() {
+  this.onResize = _.debounce(() => this.resize(), 100);
+  if (window.ResizeObserver !== undefined) {
+    this.resizeObserver = new window.ResizeObserver(this.onResize);
+    this.resizeObserver.observe(this.rootDiv);
+  } else {
+    window.addEventListener('resize', this.onResize);
+  }
+};
+
+/**
+  * Stop tracking the size of the root div, if it is being tracked.
+  */
+MDSVis.prototype.unwatchSize = function() {
+  if (this.onResize === undefined) {
+    return;
+  }
+  if (this.resizeObserver !== undefined) {
+    this.resizeObserver.disconnect();
+    this.resizeObserver = undefined;
+  } else {
+    window.removeEventListener('resize', this.onResize);
+  }
+  this.onResize = undefined;
+};
+
+/**
+  * Create the Plotly plot from scratch, and attach event handlers to it.
+  *
+  * Unlike `update`, this allows the type of the plot to change, e.g. when
+  * switching between 2D and 3D.
+  */
+MDSVis.prototype.plot = function() {
+  this.setAxisTitles();
+  this.setAnnotations();
   var traces = this.getTraces();
+  this.resetAxisRanges();
   Plotly.newPlot(this.plotDiv, traces, this.layout, this.configOptions);
+  this.plottedMode = this.mode;
+  this.plottedDims = this.getDims();
 
   // attach callbacks to plot
   if (this.onClick !== undefined) {
@@ -315,9 +964,39 @@ MDSVis.prototype.draw = function() {
   if (this.onUnhover !== undefined) {
     this.plotDiv.on('plotly_unhover', this.onUnhover);
   }
+  this.attachInternalHandlers();
+};
 
-  // create and append menu bar
-  this.rootDiv.appendChild(this.createMenuBar());
+/**
+  * Attach the plot event handlers used by this module itself: for selection,
+  * hover events (and neighbour lines), trace visibility and zooming.
+  */
+MDSVis.prototype.attachInternalHandlers = function() {
+  this.plotDiv.on('plotly_selected', (eventData) => {
+    // eventData is undefined if the selection was made in an empty region
+    if (eventData !== undefined) {
+      this.handleSelection(eventData.points);
+    }
+  });
+  this.plotDiv.on('plotly_deselect', () => this.clearSelection());
+  this.plotDiv.on('plotly_hover', (eventData) => {
+    var indices = this.pointIndices(eventData.points);
+    this.showNeighbors(indices);
+    this.emitter.emit('hover', indices.map(i => this.data[i]));
+  });
+  this.plotDiv.on('plotly_unhover', () => {
+    this.hideNeighbors();
+    this.emitter.emit('unhover');
+  });
+  this.plotDiv.on('plotly_restyle', () => this.syncHiddenGroups());
+  this.plotDiv.on('plotly_relayout', (eventData) => {
+    var keys = _.keys(eventData || {});
+    if (_.some(keys, key => /^[xy]axis\.(range|autorange)/.test(key))) {
+      // the user has zoomed, so the ranges are no longer fitted to the data
+      this.fittedRanges = false;
+      this.emitter.emit('rangechange', this.getAxisRanges());
+    }
+  });
 };
 
 /**
@@ -327,350 +1006,3796 @@ MDSVis.prototype.draw = function() {
   * was supplied at construction time, there will be one Plotly trace for each
   * group of data. Otherwise there will be only one trace, containing all data.
   *
+  * If the groupByKey is numeric, there is also just one trace, coloured by a
+  * continuous colour scale (unless colour binning is enabled; see
+  * `getColorMode`).
+  *
+  * The data traces are followed by any group summaries (see
+  * `getSummaryTraces`), overlay and projected samples.
+  *
+  * If there is a symbolByKey, the data traces are followed by one legend-only
+  * trace for each marker symbol (see `getSymbolLegendTraces`).
+  *
   * This function is also responsible for extracting the required dimensions
   * from the multidimensional data.
   *
   * @returns {array} An array of Plotly trace objects
   */
 MDSVis.prototype.getTraces = function() {
-  var traces;
+  // convert groups to traces
+  var groups = this.getGroups();
+  var colors = this.getGroupColors();
+  var traces = _.map(groups, (group, key) => {
+    return this.traceFromGroup(group, key, colors[key]);
+  });
+  // the group value of each trace, for reading back trace visibility
+  this.traceGroups = _.keys(groups);
+  this.visibleData = undefined;
 
-  if (this.metadataSupplied) {
-    // group the data
-    var groups = _.groupBy(this.data, this.groupByKey);
-    // convert groups to traces
-    traces = _.map(groups, (group, key) => {
-      return this.traceFromGroup(group, key);
-    });
-  } else {
-    traces = [this.traceFromGroup(this.data, 'data')];
+  if (this.getColorMode() === 'continuous' && traces.length > 0) {
+    this.applyColorScale(traces[0], _.values(groups)[0]);
+  }
+  traces = traces.concat(this.getSummaryTraces(), this.getOverlayTraces(),
+                         this.getProjectedTraces());
+  if (this.symbolByKey !== undefined) {
+    traces = traces.concat(this.getSymbolLegendTraces());
   }
 
   return traces;
 };
 
 /**
-  * Get a Plotly trace corresponding to one data group.
+  * Group this instance's data by the current groupByKey.
   *
-  * If the user has supplied metadata, the data associated with this instance
-  * will naturally fall into multiple groups. This function is responsible for
-  * converting a _single_ data group into a single Plotly trace.
+  * Only data passing the filters (see `getFilteredData`) is included, and
+  * groups left empty by the filters are dropped. Groups are in the same order
+  * whether or not the data is filtered.
   *
-  * @param {array}  data       - The array of data objects from which to
-  *                              generate a trace
-  * @param {string} groupbyval - The group value (i.e. value for groupByKey) to
-  *                              associate with this trace
-  * @returns {object} A Plotly trace object
+  * If no metadata was supplied, there is a single group, 'data'. If the data
+  * is coloured by a continuous colour scale, there is a single group named
+  * after the groupByKey. If the data is binned, there is one group per bin,
+  * in increasing order.
+  *
+  * @returns {object} An object mapping each group value to the array of data
+  *                   objects in that group
   */
-MDSVis.prototype.traceFromGroup = function(data, groupbyval) {
-  // extract the two dimensions we'll visualise
-  // note that xDim and yDim are 1-offset, so we need to subtract one
-  var xPoints = data.map(val => val.coord[this.xDim-1]);
-  var yPoints = data.map(val => val.coord[this.yDim-1]);
-
-  // specify data-specific trace properties
-  var trace = {x: xPoints,
-               y: yPoints,
-               mode: this.showLabels ? 'markers+text' : 'markers',
-               name: groupbyval + ' (' + xPoints.length + ')',
-               text: groupbyval
-              };
-
-  // merge with general trace configuration
-  _.extend(trace, this.traceConfig);
+MDSVis.prototype.getGroups = function() {
+  var groups = this.groupData(this.data);
+  if (_.isEmpty(this.filters)) {
+    return groups;
+  }
 
-  return trace;
+  var filtered = new Set(this.getFilteredData());
+  groups = _.mapObject(groups, (group) => {
+    return group.filter(val => filtered.has(val));
+  });
+  return _.pick(groups, group => group.length > 0);
 };
 
 /**
-  * Get the possible keys on which the data can be grouped.
-  *
-  * Get an array of the metadata properties, which can then be used as keys
-  * for grouping the data. Since these names are fixed at construction time,
-  * we use memoisation to ensure the array is only computed once.
+  * Get the colour of each group (see `getGroups`), which doesn't change when
+  * the data is filtered.
   *
-  * @returns An array of possible grouping keys (property names) 
+  * @returns {object} An object mapping each group value to a colour
   */
-MDSVis.prototype.getGroupByKeys = (function() {
-  var keys = null;
-
-  // nested function, that will only compute
-  // keys if they haven't already been computed
-  var getKeys = function() {
-    if (keys === null) {
-      // compute the group names
-      keys = [];
-      if (this.metadataSupplied) {
-        var record = this.metadata[0];
-        keys = Object.keys(record);
-        keys.sort();
-      }
-    }
-    return keys;
-  };
-
-  return getKeys;
-}());
+MDSVis.prototype.getGroupColors = function() {
+  var keys = _.keys(this.groupData(this.data));
+  return _.object(keys, keys.map((key, i) => groupColor(i)));
+};
 
 /**
-  * Update the Plotly visualisation.
+  * Group data objects by the current groupByKey (see `getGroups`).
   *
-  * This method totally redraws the plot, allowing for arbitrary changes to data
-  * and plot layout/config. In practice, this is called whenever the user
-  * interacts with the plot in the browser.
+  * @param {array} data - The data objects to group
+  * @returns {object} An object mapping each group value to the array of data
+  *                   objects in that group
   */
-MDSVis.prototype.update = function() {
-  // update traces
-  this.plotDiv.data = this.getTraces();
-  // update axis titles
-  this.layout.xaxis.title = 'Dimension ' + this.xDim;
-  this.layout.yaxis.title = 'Dimension ' + this.yDim;
-  this.plotDiv.layout = this.layout;
+MDSVis.prototype.groupData = function(data) {
+  var colorMode = this.getColorMode();
+  var groups = {};
 
-  Plotly.redraw(this.plotDiv);
-};
+  if (!this.metadataSupplied) {
+    groups.data = data;
+  } else if (colorMode === 'continuous') {
+    groups[this.groupByKey] = data;
+  } else if (colorMode === 'binned') {
+    groups = this.getBinnedGroups(data);
+  } else {
+    groups = _.groupBy(data, this.groupByKey);
+  }
 
-// DOM creation code
+  return groups;
+};
 
 /**
-  * Create the menu bar for the visualisation.
+  * Group data into quantile bins of the (numeric) groupByKey.
   *
-  * The menu bar is pretty simple. It has the following HTML structure:
+  * The bins are computed from all of this instance's data, so that they don't
+  * change when the data is filtered.
   *
-  * <div class='mdsvis-menubar' width=$this.layout.width>
-  *   <div class='mdsvis-menubar-section mdsvis-menubar-left'>
-  *     (dimension selector)
-  *     (group selector)
-  *   </div>
-  *   <div class='mdsvis-menubar-section mdsvis-menubar-centre'>
-  *     (show/hide labels)
-  *   </div>
-  *   <div class='mdsvis-menubar-section mdsvis-menubar-right'>
-  *     (show/hide all traces)
-  *   </div>
-  * </div>
+  * @param {array} data - The data objects to group
+  * @returns {object} An object mapping bin labels (e.g. '[2, 3.5)') to arrays
+  *                   of data objects, with bins in increasing order and any
+  *                   missing values in a final 'NA' group
+  */
+MDSVis.prototype.getBinnedGroups = function(data) {
+  var key = this.groupByKey;
+  var breaks = scales.quantileBreaks(_.pluck(this.data, key), this.colorBins);
+  var groups = _.groupBy(data, val => scales.binLabel(val[key], breaks));
+
+  var labels = _.sortBy(_.keys(groups), (label) => {
+    return label === 'NA' ? Infinity : parseFloat(label.slice(1));
+  });
+  return _.object(labels, labels.map(label => groups[label]));
+};
+
+/**
+  * Get how data points are coloured, given the current groupByKey.
   *
-  * @returns {object} The root div of the menu bar
+  * @returns {string} One of
+  *                     'categorical' - one colour per group value
+  *                     'continuous'  - a colour scale, for numeric values
+  *                     'binned'      - one colour per quantile bin, for
+  *                                     numeric values when colorBins is set
   */
-MDSVis.prototype.createMenuBar = function() {
-  var container = document.createElement('div');
-  container.setAttribute('class', 'mdsvis-menubar');
-  container.style.width = this.layout.width;
+MDSVis.prototype.getColorMode = function() {
+  if (!this.metadataSupplied ||
+      !scales.isNumeric(_.pluck(this.data, this.groupByKey))) {
+    return 'categorical';
+  }
+  return this.colorBins ? 'binned' : 'continuous';
+};
 
-  var leftDiv = document.createElement('div');
-  leftDiv.setAttribute('class', 'mdsvis-menubar-section');
-  leftDiv.className += ' mdsvis-menubar-left';
-  leftDiv.appendChild(this.createDimSelector());
+/**
+  * Get Plotly marker properties colouring data by the current colour scale.
+  *
+  * The range of the scale is the same for any subset of the data, so that
+  * colours are comparable between traces.
+  *
+  * @param {array} data - The array of data objects to colour
+  * @returns {object} Plotly marker properties
+  */
+MDSVis.prototype.colorScaleMarker = function(data) {
+  var range = this.colorRange ||
+      scales.extent(_.pluck(this.data, this.groupByKey));
+  return {
+    color: _.pluck(data, this.groupByKey),
+    colorscale: this.colorScale,
+    cmin: range[0],
+    cmax: range[1]
+  };
+};
 
-  if (this.metadataSupplied) {
-    leftDiv.appendChild(this.createGroupSelector());
+/**
+  * Colour a trace by the current colour scale, with a colour bar in place of
+  * a legend entry.
+  *
+  * @param {object} trace - The Plotly trace to modify
+  * @param {array}  data  - The data objects in the trace
+  */
+MDSVis.prototype.applyColorScale = function(trace, data) {
+  if (this.labelKey === undefined) {
+    trace.text = data.map(val => escapeHtml(formatValue(val[this.groupByKey])));
+  }
+  trace.showlegend = false;
+  trace.marker = _.extend({}, trace.marker, this.colorScaleMarker(data), {
+    showscale: true,
+    colorbar: {title: this.groupByKey}
+  });
+};
+
+/**
+  * Get a Plotly trace corresponding to one data group.
+  *
+  * If the user has supplied metadata, the data associated with this instance
+  * will naturally fall into multiple groups. This function is responsible for
+  * converting a _single_ data group into a single Plotly trace.
+  *
+  * @param {array}  data       - The array of data objects from which to
+  *                              generate a trace
+  * @param {string} groupbyval - The group value (i.e. value for groupByKey) to
+  *                              associate with this trace
+  * @param {string} color      - The colour of the group's markers, unless set
+  *                              by the trace configuration
+  * @returns {object} A Plotly trace object
+  */
+MDSVis.prototype.traceFromGroup = function(data, groupbyval, color) {
+  // specify data-specific trace properties
+  var index = this.getRecordIndex();
+  var trace = {mode: this.showLabels ? 'markers+text' : 'markers',
+               name: escapeHtml(groupbyval) + ' (' + data.length + ')',
+               text: this.labelKey === undefined ? escapeHtml(groupbyval) :
+                   data.map(val => escapeHtml(formatValue(val[this.labelKey]))),
+               hovertext: data.map(val => this.hoverText(val)),
+               customdata: data.map(val => index.get(val)),
+               ids: data.map(val => this.getSampleId(val))
+              };
+  this.applySelection(trace);
+  if (this.hiddenGroups.indexOf(String(groupbyval)) !== -1) {
+    trace.visible = 'legendonly';
+  }
+  if (this.hasSummaries()) {
+    // shown and hidden together with the group's summaries
+    trace.legendgroup = String(groupbyval);
   }
 
-  container.appendChild(leftDiv);
+  // extract the two (or three) dimensions we'll visualise
+  // note that the dimensions are 1-offset, so we need to subtract one
+  this.getDims().forEach((dim, i) => {
+    trace[axisNames[i]] = data.map(val => val.coord[dim-1]);
+  });
+
+  // merge with general trace configuration
+  _.extend(trace, this.traceConfig, {
+    marker: _.extend({color: color}, this.traceConfig.marker)
+  });
+  if (this.mode === '3d') {
+    trace.type = 'scatter3d';
+  }
+  this.applyMarkerEncodings(trace, data);
 
-  var centreDiv = document.createElement('div');
-  centreDiv.setAttribute('class', 'mdsvis-menubar-section');
-  centreDiv.className += ' mdsvis-menubar-centre';
+  return trace;
+};
 
-  if (this.metadataSupplied) {
-    centreDiv.appendChild(this.createShowLabelsCheckbox());
+/**
+  * Set the marker properties of a trace which vary between its data points:
+  * symbols (by the symbolByKey), sizes or opacities (by per-sample stress) and
+  * opacities (by the current highlight).
+  *
+  * @param {object} trace - The Plotly trace to modify
+  * @param {array}  data  - The data objects in the trace
+  */
+MDSVis.prototype.applyMarkerEncodings = function(trace, data) {
+  if (this.symbolByKey !== undefined) {
+    var symbols = this.getSymbolMap();
+    trace.marker = _.extend({}, trace.marker, {
+      symbol: data.map(val => symbols[val[this.symbolByKey]])
+    });
   }
+  if (this.stressMapping === 'size') {
+    trace.marker = _.extend({}, trace.marker, {
+      size: this.scaledStress(trace)
+    });
+  }
+  if (this.highlighted !== undefined || this.stressMapping === 'opacity') {
+    trace.marker = _.extend({}, trace.marker, {
+      opacity: this.highlightOpacity(trace)
+    });
+  }
+};
 
-  container.appendChild(centreDiv);
+/**
+  * Get the hover text of a data point.
+  *
+  * This lists the data point's label (if a labelKey is set), the values of the
+  * hoverKeys, the coordinates in the visualised dimensions and the point's
+  * share of the stress (if the distances are known), one per line:
+  * e.g. '<b>S12</b><br>tissue: BM<br>Dimension 1: 0.412<br>Dimension 2: -1.3'.
+  * Metadata values are HTML-escaped, since Plotly renders the text as HTML.
+  *
+  * @param {object} val - The data object
+  * @returns {string} The hover text
+  */
+MDSVis.prototype.hoverText = function(val) {
+  var lines = this.hoverKeys.map((key) => {
+    return escapeHtml(key) + ': ' + escapeHtml(formatValue(val[key]));
+  });
+  if (this.labelKey !== undefined) {
+    lines.unshift('<b>' + escapeHtml(formatValue(val[this.labelKey])) + '</b>');
+  }
+  this.getDims().forEach((dim) => {
+    lines.push('Dimension ' + dim + ': ' +
+               scales.formatNumber(val.coord[dim-1]));
+  });
+  var index = this.getRecordIndex();
+  if (this.distances !== undefined && index.has(val)) {
+    var stress = this.getSampleStress()[index.get(val)];
+    lines.push('Stress: ' + formatPercent(stress));
+  }
+  return lines.join('<br>');
+};
 
-  var rightDiv = document.createElement('div');
-  rightDiv.setAttribute('class', 'mdsvis-menubar-section');
-  rightDiv.className += ' mdsvis-menubar-right';
-  rightDiv.appendChild(this.createShowHideButtons());
-  container.appendChild(rightDiv);
+/**
+  * Get the distinct values of the symbolByKey, in sorted order.
+  *
+  * @returns {array} The distinct values
+  */
+MDSVis.prototype.getSymbolValues = function() {
+  return _.sortBy(_.uniq(_.pluck(this.data, this.symbolByKey)));
+};
 
-  return container;
+/**
+  * Get the Plotly marker symbol for each value of the symbolByKey.
+  *
+  * Symbols are assigned to values in sorted order, cycling through the
+  * available symbols if there are more values than symbols. Fewer symbols are
+  * available in 3D mode.
+  *
+  * @returns {object} An object mapping values to Plotly marker symbol names
+  */
+MDSVis.prototype.getSymbolMap = function() {
+  var symbols = this.mode === '3d' ? symbols3d : symbols2d;
+  var values = this.getSymbolValues();
+  return _.object(values, values.map((value, i) => {
+    return symbols[i % symbols.length];
+  }));
 };
 
 /**
- * Create the dimension selector.
- *
- * The dimension selector is the dropdown for selecting the pair of dimensions
- * to visualise. It has the following HTML structure:
- *
- * <div class='mdsvis-menubar-dimselector'>
- *   <div class='mdsvis-menubar-label mdsvis-menubar-dimselector-label'>
- *     Dimensions
- *   </div>
- *   <select class='mdsvis-menubar-control mdsvis-dimselector-selector'>
- *     (options)
- *   </div>
- * </div>
- *
- * @returns {object} The root div of the dimension selector
- */
-MDSVis.prototype.createDimSelector = function() {
-  var container = document.createElement('div');
-  container.setAttribute('class', 'mdsvis-menubar-dimselector');
+  * Get legend-only traces explaining the marker symbols.
+  *
+  * There is one trace per value of the symbolByKey, with no data points, so
+  * that the legend shows (for example) 'tissue: BM' next to a grey square.
+  * These traces come after all the data traces, so they don't affect the
+  * trace (curve) numbers of the groups.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getSymbolLegendTraces = function() {
+  var symbols = this.getSymbolMap();
+  return this.getSymbolValues().map((value) => {
+    var trace = {
+      type: this.mode === '3d' ? 'scatter3d' : 'scatter',
+      mode: 'markers',
+      name: escapeHtml(this.symbolByKey + ': ' + formatValue(value)),
+      hoverinfo: 'none',
+      marker: {color: '#888', size: 10, symbol: symbols[value]}
+    };
+    this.getDims().forEach((dim, i) => {
+      trace[axisNames[i]] = [null];
+    });
+    return trace;
+  });
+};
 
-  var label = document.createElement('div');
-  label.innerHTML = 'Dimensions';
-  label.setAttribute('class', 'mdsvis-menubar-label');
-  label.className += ' mdsvis-menubar-dimselector-label';
+/**
+  * Get a map from data objects to their indices in `this.data`.
+  *
+  * Traces store these indices as `customdata`, giving each data point an
+  * identity independent of how the data is grouped.
+  *
+  * @returns {Map} A map from data objects to indices
+  */
+MDSVis.prototype.getRecordIndex = function() {
+  if (this.recordIndex === undefined) {
+    this.recordIndex = new Map(this.data.map((val, i) => [val, i]));
+  }
+  return this.recordIndex;
+};
 
-  // pairs of dimension indices, from 1 to ndim
-  var pairs = dimensionPairs(this.ndim);
-  var initial = [this.xDim, this.yDim];
-  var selector = createSelector(pairs, initial);
-  selector.setAttribute('class', 'mdsvis-menubar-control');
-  selector.className += ' mdsvis-menubar-dimselector-selector';
+/**
+  * Get the unique ID of a data object: the value of its idKey property, or
+  * otherwise its index in `this.data`.
+  *
+  * @param {object} val - A data object
+  * @returns {string} The ID
+  */
+MDSVis.prototype.getSampleId = function(val) {
+  var id = this.idKey === undefined ?
+      this.getRecordIndex().get(val) : val[this.idKey];
+  return String(id);
+};
 
-  selector.addEventListener('change', () => {
-    var pair = JSON.parse(selector.options[selector.selectedIndex].value);
-    this.xDim = pair[0];
-    this.yDim = pair[1];
+/**
+  * Get the dimensions currently being visualised.
+  *
+  * @returns {array} [xDim, yDim] in 2D mode, or [xDim, yDim, zDim] in 3D mode
+  */
+MDSVis.prototype.getDims = function() {
+  if (this.mode === '3d') {
+    return [this.xDim, this.yDim, this.zDim];
+  }
+  return [this.xDim, this.yDim];
+};
+
+/**
+  * Get the possible keys on which the data can be grouped.
+  *
+  * Get an array of the metadata properties, which can then be used as keys
+  * for grouping the data. Since these names are fixed at construction time,
+  * the array is only computed once per instance.
+  *
+  * @returns An array of possible grouping keys (property names) 
+  */
+MDSVis.prototype.getGroupByKeys = function() {
+  if (this.groupByKeys === undefined) {
+    this.groupByKeys = this.metadataSupplied ?
+        Object.keys(this.metadata[0]).sort() : [];
+  }
+  return this.groupByKeys;
+};
+
+/**
+  * Update the Plotly visualisation.
+  *
+  * This method totally redraws the plot, allowing for arbitrary changes to data
+  * and plot layout/config. In practice, this is called whenever the user
+  * interacts with the plot in the browser.
+  *
+  * If the mode has changed between 2D and 3D, the plot is created afresh. If
+  * the dimensions have changed and animated transitions are enabled, the data
+  * points move smoothly to their new positions, even if they have also been
+  * regrouped (see `animate`).
+  */
+MDSVis.prototype.update = function() {
+  // update axis titles and annotations
+  this.setAxisTitles();
+  this.setAnnotations();
+
+  if (this.plottedMode !== this.mode) {
+    this.plot();
+    this.updatePanels();
+    return;
+  }
+
+  // update traces
+  var traces = this.getTraces();
+  if (this.canAnimate(traces)) {
+    this.animate(traces);
+  } else {
+    this.resetAxisRanges();
+    this.plotDiv.data = traces;
+    this.plotDiv.layout = this.layout;
+    Plotly.redraw(this.plotDiv);
+  }
+  this.plottedDims = this.getDims();
+  this.updatePanels();
+};
+
+/**
+  * Redraw the overview and scree plot, if they are being shown, to match the
+  * main plot.
+  */
+MDSVis.prototype.updatePanels = function() {
+  this.updateOverview();
+  this.updateScree();
+};
+
+/**
+  * Set the axis titles for the dimensions currently being visualised.
+  *
+  * In 3D mode, the axes belong to the layout's `scene` rather than the layout
+  * itself.
+  */
+MDSVis.prototype.setAxisTitles = function() {
+  var axes = this.mode === '3d' ? this.layout.scene : this.layout;
+  this.getDims().forEach((dim, i) => {
+    axes[axisNames[i] + 'axis'].title = this.dimensionTitle(dim);
+  });
+};
+
+/**
+  * Get the title of a dimension, with the percentage of variance it explains
+  * if known: e.g. 'Dimension 2 (18.4%)'.
+  *
+  * @param {number} dim - The dimension
+  * @returns {string} The title
+  */
+MDSVis.prototype.dimensionTitle = function(dim) {
+  return 'Dimension ' + dim + this.varianceSuffix(dim);
+};
+
+/**
+  * Get the percentage of variance explained by a dimension, formatted for
+  * display after the dimension: e.g. ' (18.4%)', or '' if not known.
+  *
+  * @param {number} dim - The dimension
+  * @returns {string} The formatted percentage
+  */
+MDSVis.prototype.varianceSuffix = function(dim) {
+  if (this.proportions === undefined) {
+    return '';
+  }
+  return ' (' + formatPercent(this.proportions[dim-1]) + ')';
+};
+
+/**
+  * Switch between 2D and 3D visualisation.
+  *
+  * When switching to 3D, the current xDim and yDim are kept if possible (see
+  * `completeTriple`).
+  *
+  * @param {string} mode - Either '2d' or '3d'
+  *
+  * @throws Error If mode is not valid, or is '3d' but the data has fewer than
+  *               three dimensions.
+  */
+MDSVis.prototype.setMode = function(mode) {
+  checkMode(mode, this.ndim, 'setMode');
+  this.mode = mode;
+  if (mode === '3d') {
+    this.completeTriple();
+  }
+  if (this.plotDiv !== undefined) {
+    // the dimension selector lists pairs or triples, depending on the mode
+    this.refreshDimSelector();
     this.update();
+  }
+  this.emitter.emit('modechange', mode);
+};
+
+/**
+  * Visualise a pair of dimensions in 2D, e.g. after a click on the overview.
+  *
+  * The menu bar controls are updated to match.
+  *
+  * @param {number} xDim - Dimension to visualise on the x axis
+  * @param {number} yDim - Dimension to visualise on the y axis
+  */
+MDSVis.prototype.showPair = function(xDim, yDim) {
+  this.mode = '2d';
+  this.syncControl('mode-checkbox', false);
+  this.setDimensions(xDim, yDim);
+};
+
+/**
+  * Show or hide the overview of all dimension pairs.
+  *
+  * @param {bool} show - Should the overview be shown?
+  */
+MDSVis.prototype.setShowOverview = function(show) {
+  this.showOverview = show;
+  if (this.plotDiv === undefined) {
+    // not drawn yet
+    return;
+  }
+
+  if (show) {
+    this.drawOverview();
+  } else {
+    this.removeOverview();
+  }
+};
+
+// Animated transition code
+
+/**
+  * Can the change to the given traces be animated?
+  *
+  * Transitions are animated only if enabled, in 2D mode, for at most
+  * `transition.maxPoints` data points, and when the dimensions have changed
+  * but the data points have not: the new traces must hold the same IDs as
+  * those plotted, though they may be grouped differently.
+  *
+  * @param {array} traces - The new Plotly traces
+  * @returns {bool} Can the change be animated?
+  */
+MDSVis.prototype.canAnimate = function(traces) {
+  if (this.transition === undefined || this.mode !== '2d' ||
+      this.data.length > this.transition.maxPoints) {
+    return false;
+  }
+
+  return !_.isEqual(this.getDims(), this.plottedDims) &&
+      _.isEqual(tracesIds(traces), tracesIds(this.plotDiv.data));
+};
+
+/**
+  * Move the plotted data points smoothly to their positions in new traces.
+  *
+  * Points are matched by their IDs (see `getSampleId`), and the axis ranges
+  * are animated to fit the new positions. If the data has been regrouped, the
+  * new traces are first drawn in the plotted dimensions, so that each point
+  * moves from where it was.
+  *
+  * @param {array} traces - The new Plotly traces, holding the same data
+  *                         points as the plotted traces
+  */
+MDSVis.prototype.animate = function(traces) {
+  var plotted = this.plotDiv.data;
+  if (!_.isEqual(_.pluck(traces, 'name'), _.pluck(plotted, 'name')) ||
+      !_.isEqual(_.pluck(traces, 'ids'), _.pluck(plotted, 'ids'))) {
+    this.plotDiv.data = this.getTracesAt(this.plottedDims);
+    Plotly.redraw(this.plotDiv);
+  }
+
+  Plotly.relayout(this.plotDiv, {
+    'xaxis.title': this.layout.xaxis.title,
+    'yaxis.title': this.layout.yaxis.title,
+    annotations: this.layout.annotations
   });
 
-  container.appendChild(label);
-  container.appendChild(selector);
+  this.fitAxisRanges(traces);
+  var frame = {
+    data: traces.map(trace => _.pick(trace, 'x', 'y', 'ids', 'hovertext')),
+    traces: _.range(traces.length),
+    layout: {
+      'xaxis.range': this.layout.xaxis.range,
+      'yaxis.range': this.layout.yaxis.range
+    }
+  };
+  Plotly.animate(this.plotDiv, frame, {
+    transition: _.pick(this.transition, 'duration', 'easing'),
+    frame: {duration: this.transition.duration, redraw: false}
+  });
+};
 
-  return container;
+/**
+  * Get the Plotly traces of the current view state, as they would be drawn in
+  * other dimensions.
+  *
+  * @param {array} dims - `[xDim, yDim]`
+  * @returns {array} The Plotly traces
+  */
+MDSVis.prototype.getTracesAt = function(dims) {
+  var current = [this.xDim, this.yDim];
+  _.extend(this, {xDim: dims[0], yDim: dims[1]});
+  var traces = this.getTraces();
+  _.extend(this, {xDim: current[0], yDim: current[1]});
+  return traces;
 };
 
 /**
- * Create the group selector.
- *
- * The group selector is the dropdown for selecting which key to group by.
- * It has the following HTML structure:
- *
- * <div class='mdsvis-menubar-groupselector'>
- *   <div class='mdsvis-menubar-label mdsvis-menubar-groupselector-label'>
- *     Group by
- *   </div>
- *   <select class='mdsvis-menubar-control mdsvis-groupselector-selector'>
- *     (options)
- *   </div>
- * </div>
- *
- * @returns {object} The root div of the group selector
- */
-MDSVis.prototype.createGroupSelector = function() {
+  * Fix the x and y axis ranges to fit the data in the given traces, since
+  * Plotly doesn't autorange during animations.
+  *
+  * @param {array} traces - The Plotly traces to fit
+  */
+MDSVis.prototype.fitAxisRanges = function(traces) {
+  ['xaxis', 'yaxis'].forEach((axis, i) => {
+    var values = _.flatten(_.pluck(traces, axisNames[i]));
+    this.layout[axis].range = paddedRange(values);
+    this.layout[axis].autorange = false;
+  });
+  this.fittedRanges = true;
+};
+
+/**
+  * Restore autoranging of the x and y axes, if their ranges were fixed by
+  * `fitAxisRanges`.
+  */
+MDSVis.prototype.resetAxisRanges = function() {
+  if (!this.fittedRanges) {
+    return;
+  }
+  ['xaxis', 'yaxis'].forEach((axis) => {
+    delete this.layout[axis].range;
+    this.layout[axis].autorange = true;
+  });
+  this.fittedRanges = false;
+};
+
+// View state code
+
+/**
+  * Subscribe to a view state change event.
+  *
+  * The events are:
+  *
+  *   'dimensionschange' - with `{xDim, yDim}` (and `zDim` in 3D mode)
+  *   'groupchange'      - with the new groupByKey
+  *   'labelschange'     - with the new value of showLabels
+  *   'labelkeychange'   - with the new labelKey (undefined if none)
+  *   'symbolchange'     - with the new symbolByKey (undefined if none)
+  *   'selectionchange'  - with the array of selected records
+  *   'exporterror'      - with the error, if a menu bar export fails
+  *   'hover'            - with the array of hovered records
+  *   'unhover'          - with no arguments
+  *
+  * View state changes are emitted whether made through the menu bar or
+  * through methods such as `setDimensions`, `setGroupBy` or `setShowLabels`.
+  *
+  * @param {string}   event    - The event name
+  * @param {function} listener - Called with the new state
+  * @returns {object} This MDSVis object, for chaining
+  */
+MDSVis.prototype.on = function(event, listener) {
+  this.emitter.on(event, listener);
+  return this;
+};
+
+/**
+  * Unsubscribe a listener added with `on`.
+  *
+  * @param {string}   event    - The event name
+  * @param {function} listener - The listener to remove
+  * @returns {object} This MDSVis object, for chaining
+  */
+MDSVis.prototype.off = function(event, listener) {
+  this.emitter.removeListener(event, listener);
+  return this;
+};
+
+/**
+  * Set the dimensions to visualise.
+  *
+  * In 3D mode, zDim defaults to the current zDim. In 2D mode, zDim is optional;
+  * if supplied, it is kept for when the visualisation switches to 3D.
+  *
+  * @param {number} xDim - Dimension to visualise on the x axis
+  * @param {number} yDim - Dimension to visualise on the y axis
+  * @param {number} zDim - Dimension to visualise on the z axis
+  *
+  * @throws Error If the dimensions are not a valid pair (or triple). See
+  *               README for a description of valid pairs.
+  */
+MDSVis.prototype.setDimensions = function(xDim, yDim, zDim) {
+  if (this.mode === '3d' && zDim === undefined) {
+    zDim = this.zDim;
+  }
+  var dims = zDim === undefined ? [xDim, yDim] : [xDim, yDim, zDim];
+  if (!isValidDims(dims, this.ndim)) {
+    throw new Error('invalid dimensions ' + JSON.stringify(dims) +
+                    ' (mdsvis.setDimensions)');
+  }
+
+  this.xDim = xDim;
+  this.yDim = yDim;
+  this.zDim = zDim === undefined ? this.zDim : zDim;
+  this.refreshDimSelector();
+  this.updateIfDrawn();
+  // zDim is only included in 3D mode
+  var state = _.object(['xDim', 'yDim', 'zDim'], this.getDims());
+  this.emitter.emit('dimensionschange', state);
+};
+
+/**
+  * Set the metadata property on which to group the data.
+  *
+  * @param {string} groupByKey - One of the keys returned by `getGroupByKeys`
+  *
+  * @throws Error If groupByKey is not a metadata property.
+  */
+MDSVis.prototype.setGroupBy = function(groupByKey) {
+  if (this.getGroupByKeys().indexOf(groupByKey) === -1) {
+    throw new Error('unknown groupByKey "' + groupByKey + '" ' +
+                    '(mdsvis.setGroupBy)');
+  }
+
+  this.groupByKey = groupByKey;
+  this.syncControl('groupselector-selector', groupByKey);
+  this.updateIfDrawn();
+  this.emitter.emit('groupchange', groupByKey);
+};
+
+/**
+  * Show or hide the labels on data points.
+  *
+  * @param {bool} showLabels - Should data labels be shown?
+  *
+  * @throws Error If showLabels is not a boolean.
+  */
+MDSVis.prototype.setShowLabels = function(showLabels) {
+  if (typeof showLabels !== 'boolean') {
+    throw new Error('showLabels must be true or false (mdsvis.setShowLabels)');
+  }
+
+  this.showLabels = showLabels;
+  this.syncControl('showlabels-checkbox', showLabels);
+  this.updateIfDrawn();
+  this.emitter.emit('labelschange', showLabels);
+};
+
+/**
+  * Set the metadata property whose values determine the marker symbols.
+  *
+  * @param {string} symbolByKey - One of the keys returned by `getGroupByKeys`,
+  *                               or undefined (or null) for a single symbol
+  *
+  * @throws Error If symbolByKey is not a metadata property.
+  */
+MDSVis.prototype.setSymbolBy = function(symbolByKey) {
+  symbolByKey = symbolByKey === null ? undefined : symbolByKey;
+  if (symbolByKey !== undefined &&
+      this.getGroupByKeys().indexOf(symbolByKey) === -1) {
+    throw new Error('unknown symbolByKey "' + symbolByKey + '" ' +
+                    '(mdsvis.setSymbolBy)');
+  }
+
+  this.symbolByKey = symbolByKey;
+  this.syncControl('symbolselector-selector',
+                   symbolByKey === undefined ? noSymbolOption : symbolByKey);
+  this.updateIfDrawn();
+  this.emitter.emit('symbolchange', symbolByKey);
+};
+
+/**
+  * Set the metadata property whose values label the data points.
+  *
+  * @param {string} labelKey - One of the keys returned by `getGroupByKeys`, or
+  *                            undefined (or null) to label points by group
+  *
+  * @throws Error If labelKey is not a metadata property.
+  */
+MDSVis.prototype.setLabelKey = function(labelKey) {
+  labelKey = labelKey === null ? undefined : labelKey;
+  if (labelKey !== undefined &&
+      this.getGroupByKeys().indexOf(labelKey) === -1) {
+    throw new Error('unknown labelKey "' + labelKey + '" ' +
+                    '(mdsvis.setLabelKey)');
+  }
+
+  this.labelKey = labelKey;
+  this.syncControl('labelselector-selector',
+                   labelKey === undefined ? groupLabelOption : labelKey);
+  this.updateIfDrawn();
+  this.emitter.emit('labelkeychange', labelKey);
+};
+
+/**
+  * Update the visualisation, unless it hasn't been drawn yet.
+  */
+MDSVis.prototype.updateIfDrawn = function() {
+  if (this.plotDiv !== undefined) {
+    this.update();
+  }
+};
+
+/**
+  * Set the value of a menu bar control, if it exists, without triggering its
+  * change listener.
+  *
+  * @param {string} name  - The control's class name suffix, e.g.
+  *                         'showlabels-checkbox'
+  * @param          value - A boolean for checkboxes, or one of the options
+  *                         of a dropdown
+  */
+MDSVis.prototype.syncControl = function(name, value) {
+  var control = this.rootDiv.querySelector('.mdsvis-menubar-' + name);
+  if (control === null) {
+    return;
+  }
+
+  if (control.getAttribute('type') === 'checkbox') {
+    control.checked = value;
+  } else {
+    control.value = JSON.stringify(value);
+  }
+};
+
+// Filter code
+
+/**
+  * Get the data objects which pass all of the filters.
+  *
+  * @param {array} data - The data objects to filter (default `this.data`)
+  * @returns {array} The filtered data objects, in their original order
+  */
+MDSVis.prototype.getFilteredData = function(data) {
+  data = data || this.data;
+  var filters = _.pairs(this.filters);
+  if (filters.length === 0) {
+    return data;
+  }
+  return data.filter((val) => {
+    return _.every(filters, pair => passesFilter(val[pair[0]], pair[1]));
+  });
+};
+
+/**
+  * Get the data objects which are shown: those which pass the filters and
+  * are not in hidden groups.
+  *
+  * @returns {array} The data objects, in their original order
+  */
+MDSVis.prototype.getVisibleData = function() {
+  var groups = _.omit(this.getGroups(), this.hiddenGroups);
+  return _.sortBy(_.flatten(_.values(groups), true),
+                  val => this.getRecordIndex().get(val));
+};
+
+/**
+  * Get the data objects which are shown (see `getVisibleData`), computed once
+  * per redraw rather than on every hover. The cache is cleared whenever the
+  * traces are recomputed, or groups are hidden or shown from the legend.
+  *
+  * @returns {array} The data objects, in their original order
+  */
+MDSVis.prototype.getCachedVisibleData = function() {
+  if (this.visibleData === undefined) {
+    this.visibleData = this.getVisibleData();
+  }
+  return this.visibleData;
+};
+
+/**
+  * Get the current filters.
+  *
+  * @returns {object} A copy of the filters, by metadata property
+  */
+MDSVis.prototype.getFilters = function() {
+  return JSON.parse(JSON.stringify(this.filters));
+};
+
+/**
+  * Filter the data on a metadata property, replacing any existing filter on
+  * that property. The filter panel is updated to match.
+  *
+  * A filter is either
+  *
+  *   {exclude: [values]}  - data points with any of these values are hidden
+  *   {range: [min, max]}  - for numeric properties, data points with values
+  *                          outside this range (or missing) are hidden
+  *
+  * or null, to remove the filter. Data points are shown only if they pass
+  * the filters on all properties.
+  *
+  * @param {string} key    - The metadata property
+  * @param {object} filter - The filter, or null
+  *
+  * @throws Error If key is not a metadata property, or the filter is invalid.
+  */
+MDSVis.prototype.setFilter = function(key, filter) {
+  this.checkFilter(key, filter, 'mdsvis.setFilter');
+  this.applyFilter(key, filter);
+  this.refreshFilterPanel();
+};
+
+/**
+  * Remove all filters.
+  */
+MDSVis.prototype.clearFilters = function() {
+  this.filters = {};
+  this.refreshFilterPanel();
+  this.updateIfDrawn();
+  this.emitter.emit('filterchange', this.getFilters());
+};
+
+/**
+  * Set (or remove) a filter and update the plot, without updating the filter
+  * panel.
+  *
+  * @param {string} key    - The metadata property
+  * @param {object} filter - The filter, or null
+  */
+MDSVis.prototype.applyFilter = function(key, filter) {
+  if (filter === null || filter === undefined) {
+    delete this.filters[key];
+  } else {
+    this.filters[key] = filter;
+  }
+  this.updateIfDrawn();
+  this.emitter.emit('filterchange', this.getFilters());
+};
+
+/**
+  * Check that a filter is valid (see `setFilter`).
+  *
+  * @param {string} key    - The metadata property
+  * @param {object} filter - The filter, or null
+  * @param {string} caller - Name of the calling function, for error messages
+  *
+  * @throws Error If key is not a metadata property, or the filter is invalid.
+  */
+MDSVis.prototype.checkFilter = function(key, filter, caller) {
+  if (this.getGroupByKeys().indexOf(key) === -1) {
+    throw new Error('unknown filter key "' + key + '" (' + caller + ')');
+  }
+  if (filter === null || filter === undefined) {
+    return;
+  }
+
+  var valid = _.isArray(filter.exclude) ||
+      (_.isArray(filter.range) && filter.range.length === 2);
+  if (!valid) {
+    throw new Error('filter must be {exclude: [values]} or ' +
+                    '{range: [min, max]} (' + caller + ')');
+  }
+};
+
+/**
+  * Draw the filter panel, if metadata was supplied.
+  */
+MDSVis.prototype.drawFilterPanel = function() {
+  if (this.metadataSupplied) {
+    this.filterPanel = this.createFilterPanel();
+    this.rootDiv.insertBefore(this.filterPanel, this.menuBar.nextSibling);
+  }
+};
+
+/**
+  * Remove the filter panel from the DOM, if it has been drawn.
+  */
+MDSVis.prototype.removeFilterPanel = function() {
+  if (this.filterPanel !== undefined) {
+    this.rootDiv.removeChild(this.filterPanel);
+    this.filterPanel = undefined;
+  }
+};
+
+/**
+  * Redraw the filter panel to match the filters, keeping it open or closed.
+  */
+MDSVis.prototype.refreshFilterPanel = function() {
+  if (this.filterPanel === undefined) {
+    return;
+  }
+  var open = this.filterPanel.open;
+  var panel = this.createFilterPanel();
+  panel.open = open;
+  this.rootDiv.replaceChild(panel, this.filterPanel);
+  this.filterPanel = panel;
+};
+
+// Search code
+
+/**
+  * Search the metadata for data points matching a query, highlighting and
+  * annotating the matches.
+  *
+  * A query of the form '/pattern/flags' is a regular expression; otherwise it
+  * matches any value containing it, ignoring case. Invalid regular
+  * expressions match nothing. Data points excluded by the filters are not
+  * searched. The first match becomes the current match (see `nextMatch`).
+  *
+  * @param {string} query - The search query; if empty, the search is cleared
+  * @param {string} key   - The metadata property to search; by default, all
+  *                         properties are searched
+  * @returns {array} The matching records
+  *
+  * @throws Error If key is not a metadata property.
+  */
+MDSVis.prototype.search = function(query, key) {
+  if (key !== undefined && this.getGroupByKeys().indexOf(key) === -1) {
+    throw new Error('unknown search key "' + key + '" (mdsvis.search)');
+  }
+  if (!query) {
+    this.clearSearch();
+    return [];
+  }
+
+  var keys = key === undefined ? this.getGroupByKeys() : [key];
+  var pattern = searchPattern(query);
+  var visible = new Set(this.getFilteredData());
+  var matches = [];
+  this.data.forEach((val, i) => {
+    var field = _.find(keys, k => matchesPattern(pattern, val[k]));
+    if (field !== undefined && visible.has(val)) {
+      matches.push({index: i, key: field});
+    }
+  });
+
+  this.searchResult = {matches: matches, current: 0};
+  this.highlighted = this.getSearchHighlight();
+  this.updateIfDrawn();
+  this.updateSearchCount();
+  return matches.map(match => this.data[match.index]);
+};
+
+/**
+  * Make the next search match the current one, wrapping around at the end.
+  *
+  * @returns {object} The current matching record, or undefined if there are
+  *                   no matches
+  */
+MDSVis.prototype.nextMatch = function() {
+  return this.stepMatch(1);
+};
+
+/**
+  * Make the previous search match the current one, wrapping around at the
+  * start.
+  *
+  * @returns {object} The current matching record, or undefined if there are
+  *                   no matches
+  */
+MDSVis.prototype.previousMatch = function() {
+  return this.stepMatch(-1);
+};
+
+/**
+  * Step through the search matches.
+  *
+  * @param {number} step - 1 for the next match, -1 for the previous one
+  * @returns {object} The current matching record, or undefined if there are
+  *                   no matches
+  */
+MDSVis.prototype.stepMatch = function(step) {
+  if (this.searchResult === undefined ||
+      this.searchResult.matches.length === 0) {
+    return undefined;
+  }
+
+  var result = this.searchResult;
+  var n = result.matches.length;
+  result.current = (result.current + step + n) % n;
+  this.refreshAnnotations();
+  this.updateSearchCount();
+  return this.data[result.matches[result.current].index];
+};
+
+/**
+  * Clear the search, removing its highlight and annotations.
+  */
+MDSVis.prototype.clearSearch = function() {
+  var hadSearch = this.searchResult !== undefined;
+  this.searchResult = undefined;
+  this.highlighted = undefined;
+
+  if (hadSearch) {
+    this.updateIfDrawn();
+  }
+  this.updateSearchCount();
+};
+
+/**
+  * Get the IDs of the search matches, to highlight them.
+  *
+  * @returns {Set} The IDs, or undefined if there are no search matches
+  */
+MDSVis.prototype.getSearchHighlight = function() {
+  if (this.searchResult === undefined ||
+      this.searchResult.matches.length === 0) {
+    return undefined;
+  }
+  return new Set(this.searchResult.matches.map((match) => {
+    return this.getSampleId(this.data[match.index]);
+  }));
+};
+
+/**
+  * Add annotations for the search matches to the layout, replacing any
+  * previous search annotations but keeping the user's own annotations.
+  *
+  * In 3D mode, the annotations belong to the layout's `scene`.
+  */
+MDSVis.prototype.setAnnotations = function() {
+  var previous = this.addedAnnotations || [];
+  [this.layout, this.layout.scene].forEach((container) => {
+    container.annotations = _.difference(container.annotations || [],
+                                         previous);
+  });
+
+  this.addedAnnotations = this.getSearchAnnotations();
+  var container = this.mode === '3d' ? this.layout.scene : this.layout;
+  container.annotations = container.annotations.concat(
+      this.addedAnnotations);
+};
+
+/**
+  * Redraw the annotations, without redrawing the data.
+  */
+MDSVis.prototype.refreshAnnotations = function() {
+  this.setAnnotations();
+  if (this.plotDiv === undefined) {
+    return;
+  }
+  var update = this.mode === '3d' ?
+      {'scene.annotations': this.layout.scene.annotations} :
+      {annotations: this.layout.annotations};
+  Plotly.relayout(this.plotDiv, update);
+};
+
+/**
+  * Get annotations labelling the search matches with their matching values.
+  *
+  * The current match is always annotated, and outlined; at most
+  * `maxSearchAnnotations` matches are annotated in total.
+  *
+  * @returns {array} Plotly annotations
+  */
+MDSVis.prototype.getSearchAnnotations = function() {
+  if (this.searchResult === undefined ||
+      this.searchResult.matches.length === 0) {
+    return [];
+  }
+
+  var matches = this.searchResult.matches;
+  var current = matches[this.searchResult.current];
+  var shown = _.uniq([current].concat(
+      _.first(matches, maxSearchAnnotations - 1)));
+
+  return shown.map((match) => {
+    var val = this.data[match.index];
+    var annotation = {
+      text: escapeHtml(formatValue(val[match.key])),
+      showarrow: true, arrowhead: 0,
+      ax: 20, ay: -30, bgcolor: 'rgba(255, 255, 255, 0.8)'
+    };
+    this.getDims().forEach((dim, i) => {
+      annotation[axisNames[i]] = val.coord[dim-1];
+    });
+    if (match === current) {
+      _.extend(annotation, {bordercolor: '#444', borderwidth: 1});
+    }
+    return annotation;
+  });
+};
+
+/**
+  * Show the number of search matches, and the position of the current match,
+  * in the menu bar.
+  */
+MDSVis.prototype.updateSearchCount = function() {
+  var count = this.rootDiv.querySelector('.mdsvis-menubar-search-count');
+  if (count === null) {
+    return;
+  }
+
+  var result = this.searchResult;
+  if (result === undefined) {
+    count.innerHTML = '';
+  } else if (result.matches.length === 0) {
+    count.innerHTML = 'No matches';
+  } else {
+    count.innerHTML = (result.current + 1) + ' of ' + result.matches.length;
+  }
+};
+
+// Full view state code
+
+/**
+  * Get the complete view state, as a plain (JSON-serialisable) object.
+  *
+  * The state has the following properties:
+  *
+  *   mode       - '2d' or '3d'
+  *   xDim, yDim - the visualised dimensions (and zDim, in 3D mode)
+  *   groupByKey - the grouping key, if metadata was supplied
+  *   labelKey   - the key labelling the data points, or null if they are
+  *                labelled by group
+  *   symbolByKey - the key determining marker symbols, or null if none
+  *   showLabels - are labels shown?
+  *   hidden     - values of the groups whose traces are hidden
+  *   filters    - the filters, by metadata property (see `setFilter`)
+  *   selected   - IDs (see `getSampleId`) of the selected data points
+  *   ranges     - `{x: [min, max], y: [min, max]}`, if the plot is zoomed
+  *                (2D mode only)
+  *
+  * @returns {object} The view state
+  */
+MDSVis.prototype.getState = function() {
+  var state = _.object(['mode', 'xDim', 'yDim', 'groupByKey', 'showLabels'],
+                       [this.mode, this.xDim, this.yDim, this.groupByKey,
+                        this.showLabels]);
+  state.labelKey = this.labelKey === undefined ? null : this.labelKey;
+  state.symbolByKey = this.symbolByKey === undefined ? null : this.symbolByKey;
+  if (this.mode === '3d') {
+    state.zDim = this.zDim;
+  }
+  state.hidden = this.hiddenGroups.slice();
+  state.filters = this.getFilters();
+  state.selected = this.getSelected().map(val => this.getSampleId(val));
+
+  var ranges = this.getAxisRanges();
+  if (ranges !== undefined) {
+    state.ranges = ranges;
+  }
+  return state;
+};
+
+/**
+  * Restore a view state, as returned by `getState`.
+  *
+  * Properties missing from the state are left unchanged, except `ranges`:
+  * without it, the axes are autoranged. In 3D mode without a zDim, the
+  * dimensions are completed as by `setMode`. The menu bar is updated to match,
+  * and a 'statechange' event is emitted with the new state.
+  *
+  * @param {object} state - The view state
+  *
+  * @throws Error If the mode, dimensions, groupByKey, labelKey or symbolByKey
+  *               are invalid.
+  */
+MDSVis.prototype.setState = function(state) {
+  var zDimSupplied = state.zDim !== undefined;
+  state = _.extend({zDim: this.zDim}, _.omit(this.getState(), 'ranges'),
+                   state);
+  this.checkState(state, zDimSupplied);
+
+  _.extend(this, _.pick(state, 'mode', 'xDim', 'yDim', 'zDim', 'groupByKey'));
+  if (this.mode === '3d') {
+    this.completeTriple();
+  }
+  _.extend(this, {
+    labelKey: state.labelKey === null ? undefined : state.labelKey,
+    symbolByKey: state.symbolByKey === null ? undefined : state.symbolByKey,
+    showLabels: Boolean(state.showLabels)
+  });
+  this.hiddenGroups = state.hidden.map(String);
+  this.filters = JSON.parse(JSON.stringify(state.filters));
+  this.selected = this.indicesOfIds(state.selected);
+  this.setAxisRanges(state.ranges);
+
+  if (this.plotDiv !== undefined) {
+    this.syncControls();
+    this.update();
+  }
+  this.emitter.emit('statechange', this.getState());
+};
+
+/**
+  * Check that a view state can be restored.
+  *
+  * @param {object} state        - The view state
+  * @param {bool}   zDimSupplied - Was zDim given explicitly? If not, it needn't
+  *                                complete a valid triple
+  *
+  * @throws Error If the mode, dimensions, groupByKey, labelKey, symbolByKey
+  *               or filters are invalid.
+  */
+MDSVis.prototype.checkState = function(state, zDimSupplied) {
+  checkMode(state.mode, this.ndim, 'mdsvis.setState');
+
+  var dims = [state.xDim, state.yDim];
+  if (state.mode === '3d' && zDimSupplied) {
+    dims.push(state.zDim);
+  }
+  if (!isValidDims(dims, this.ndim)) {
+    throw new Error('invalid dimensions ' + JSON.stringify(dims) +
+                    ' (mdsvis.setState)');
+  }
+
+  if (this.metadataSupplied &&
+      this.getGroupByKeys().indexOf(state.groupByKey) === -1) {
+    throw new Error('unknown groupByKey "' + state.groupByKey + '" ' +
+                    '(mdsvis.setState)');
+  }
+  ['labelKey', 'symbolByKey'].forEach((name) => {
+    if (state[name] !== null &&
+        this.getGroupByKeys().indexOf(state[name]) === -1) {
+      throw new Error('unknown ' + name + ' "' + state[name] + '" ' +
+                      '(mdsvis.setState)');
+    }
+  });
+  _.each(state.filters, (filter, key) => {
+    this.checkFilter(key, filter, 'mdsvis.setState');
+  });
+};
+
+/**
+  * Update all menu bar controls to match the current view state.
+  */
+MDSVis.prototype.syncControls = function() {
+  this.syncControl('mode-checkbox', this.mode === '3d');
+  this.syncControl('groupselector-selector', this.groupByKey);
+  this.syncControl('labelselector-selector', this.labelKey === undefined ?
+                   groupLabelOption : this.labelKey);
+  this.syncControl('symbolselector-selector', this.symbolByKey === undefined ?
+                   noSymbolOption : this.symbolByKey);
+  this.syncControl('showlabels-checkbox', this.showLabels);
+  this.refreshDimSelector();
+  this.refreshFilterPanel();
+};
+
+/**
+  * Get the zoomed x and y axis ranges, if any.
+  *
+  * Ranges fitted to the data for an animated transition (see `fitAxisRanges`)
+  * are not a zoom.
+  *
+  * @returns {object} `{x: [min, max], y: [min, max]}`, or undefined if the
+  *                   axes are autoranged or fitted, or the plot is 3D
+  */
+MDSVis.prototype.getAxisRanges = function() {
+  var xaxis = this.layout.xaxis;
+  var yaxis = this.layout.yaxis;
+  if (this.mode === '3d' || this.fittedRanges || xaxis.autorange !== false ||
+      yaxis.autorange !== false) {
+    return undefined;
+  }
+  return {x: xaxis.range.slice(), y: yaxis.range.slice()};
+};
+
+/**
+  * Fix the x and y axis ranges, or restore autoranging.
+  *
+  * @param {object} ranges - `{x: [min, max], y: [min, max]}`, or undefined to
+  *                          autorange
+  */
+MDSVis.prototype.setAxisRanges = function(ranges) {
+  this.fittedRanges = false;
+  ['x', 'y'].forEach((axis) => {
+    var layoutAxis = this.layout[axis + 'axis'];
+    if (ranges === undefined || ranges === null) {
+      delete layoutAxis.range;
+      layoutAxis.autorange = true;
+    } else {
+      layoutAxis.range = ranges[axis].slice();
+      layoutAxis.autorange = false;
+    }
+  });
+};
+
+/**
+  * Record which groups' traces are hidden, after their visibility is changed
+  * from the legend or the show/hide all buttons.
+  */
+MDSVis.prototype.syncHiddenGroups = function() {
+  var hidden = _.filter(this.traceGroups, (group, i) => {
+    var visible = this.plotDiv.data[i].visible;
+    return visible === 'legendonly' || visible === false;
+  });
+
+  if (!_.isEqual(hidden, this.hiddenGroups)) {
+    this.hiddenGroups = hidden;
+    this.visibleData = undefined;
+    this.emitter.emit('visibilitychange', hidden);
+  }
+};
+
+// URL hash code
+
+/**
+  * Restore the view state saved in the URL hash, if any.
+  *
+  * Invalid states (e.g. from an outdated link) are ignored.
+  */
+MDSVis.prototype.readHash = function() {
+  var value = parseHash(window.location.hash)[this.hashKey];
+  if (value === undefined) {
+    return;
+  }
+
+  try {
+    this.setState(JSON.parse(value));
+  } catch (err) {
+    // leave the view as it is
+  }
+};
+
+/**
+  * Save the view state in the URL hash, replacing the current history entry
+  * rather than adding a new one. Other keys in the hash are kept.
+  */
+MDSVis.prototype.writeHash = function() {
+  var params = parseHash(window.location.hash);
+  params[this.hashKey] = JSON.stringify(this.getState());
+  window.history.replaceState(null, '', formatHash(params));
+};
+
+/**
+  * Start mirroring the view state in the URL hash: save it whenever it
+  * changes, and restore it when the hash changes (e.g. when navigating back).
+  */
+MDSVis.prototype.watchHash = function() {
+  this.onStateChange = () => this.writeHash();
+  this.onHashChange = () => this.readHash();
+  stateEvents.forEach(event => this.on(event, this.onStateChange));
+  window.addEventListener('hashchange', this.onHashChange);
+};
+
+/**
+  * Stop mirroring the view state in the URL hash, if it is being mirrored.
+  */
+MDSVis.prototype.unwatchHash = function() {
+  if (this.onStateChange === undefined) {
+    return;
+  }
+  stateEvents.forEach(event => this.off(event, this.onStateChange));
+  window.removeEventListener('hashchange', this.onHashChange);
+  this.onStateChange = undefined;
+  this.onHashChange = undefined;
+};
+
+// Selection code
+
+/**
+  * Mark the selected points of a trace, so that a selection survives changes
+  * of dimensions or grouping.
+  *
+  * @param {object} trace - A Plotly trace, whose `customdata` holds the
+  *                         indices of its data objects
+  */
+MDSVis.prototype.applySelection = function(trace) {
+  if (this.selected.length === 0) {
+    return;
+  }
+  var selected = new Set(this.selected);
+  trace.selectedpoints = [];
+  trace.customdata.forEach((index, pointNumber) => {
+    if (selected.has(index)) {
+      trace.selectedpoints.push(pointNumber);
+    }
+  });
+};
+
+/**
+  * Handle a selection made with the box or lasso tools.
+  *
+  * @param {array} points - The selected points, from the Plotly event data
+  */
+MDSVis.prototype.handleSelection = function(points) {
+  this.selected = this.pointIndices(points);
+  this.notifySelection();
+};
+
+/**
+  * Get the indices (into `this.data`) of plotted points.
+  *
+  * @param {array} points - Points from Plotly event data, with `curveNumber`
+  *                         and `pointNumber` properties
+  * @returns {array} The distinct indices of the points' data objects
+  */
+MDSVis.prototype.pointIndices = function(points) {
+  var indices = points.map((pt) => {
+    // legend-only traces have no customdata
+    var customdata = this.plotDiv.data[pt.curveNumber].customdata || [];
+    return customdata[pt.pointNumber];
+  });
+  return _.uniq(_.reject(indices, _.isUndefined));
+};
+
+/**
+  * Pass the current selection to the onSelect handler and 'selectionchange'
+  * listeners.
+  */
+MDSVis.prototype.notifySelection = function() {
+  var records = this.getSelected();
+  if (this.onSelect !== undefined) {
+    this.onSelect(records);
+  }
+  this.emitter.emit('selectionchange', records);
+};
+
+/**
+  * Get the selected data points.
+  *
+  * @returns {array} The selected records, each having a `coord` property and
+  *                  any metadata properties
+  */
+MDSVis.prototype.getSelected = function() {
+  return this.selected.map(index => this.data[index]);
+};
+
+/**
+  * Clear the selection, if any.
+  */
+MDSVis.prototype.clearSelection = function() {
+  var hadSelection = this.selected.length > 0;
+  this.selected = [];
+
+  this.updateIfDrawn();
+  if (hadSelection) {
+    this.notifySelection();
+  }
+};
+
+/**
+  * Select the data points with the given IDs (see `getSampleId`), replacing
+  * any current selection.
+  *
+  * @param {array} ids - The IDs of the data points to select; IDs not in this
+  *                      instance's data are ignored
+  */
+MDSVis.prototype.selectIds = function(ids) {
+  this.selected = this.indicesOfIds(ids);
+  this.updateIfDrawn();
+  this.notifySelection();
+};
+
+/**
+  * Get the indices (into `this.data`) of the data points with the given IDs.
+  *
+  * @param {array} ids - Data point IDs (see `getSampleId`)
+  * @returns {array} The indices, in increasing order
+  */
+MDSVis.prototype.indicesOfIds = function(ids) {
+  var wanted = new Set(ids.map(String));
+  return _.filter(_.range(this.data.length), (i) => {
+    return wanted.has(this.getSampleId(this.data[i]));
+  });
+};
+
+// Highlighting code
+
+/**
+  * Highlight the data points with the given IDs (see `getSampleId`), by
+  * dimming all other data points.
+  *
+  * The highlight is kept when the dimensions or grouping change.
+  *
+  * @param {array} ids - The IDs of the data points to highlight; IDs not in
+  *                      this instance's data are ignored
+  */
+MDSVis.prototype.highlight = function(ids) {
+  this.highlighted = new Set(ids.map(String));
+  this.restyleHighlight();
+};
+
+/**
+  * Remove any highlight, restoring the opacity of all data points (or, if
+  * there are search matches, restoring their highlight).
+  */
+MDSVis.prototype.unhighlight = function() {
+  this.highlighted = this.getSearchHighlight();
+  this.restyleHighlight();
+};
+
+/**
+  * Apply the current highlight to the plotted traces, without redrawing.
+  */
+MDSVis.prototype.restyleHighlight = function() {
+  if (this.plotDiv === undefined) {
+    return;
+  }
+  var opacity = this.plotDiv.data.map(trace => this.highlightOpacity(trace));
+  Plotly.restyle(this.plotDiv, {'marker.opacity': opacity});
+};
+
+/**
+  * Get the marker opacity of a trace, given the current highlight.
+  *
+  * Since scatter3d traces don't support per-point opacity, a 3D trace is
+  * shown at full opacity if any of its points are highlighted, and dimmed
+  * otherwise.
+  *
+  * @param {object} trace - A Plotly trace, whose `ids` hold the IDs of its
+  *                         data points
+  * @returns {number|array} The opacity of the trace, or of each of its points
+  */
+MDSVis.prototype.highlightOpacity = function(trace) {
+  var base = this.baseOpacity(trace);
+  if (this.highlighted === undefined || trace.ids === undefined) {
+    return base;
+  }
+
+  var opacity = trace.ids.map((id, i) => {
+    var full = _.isArray(base) ? base[i] : base;
+    return this.highlighted.has(id) ? full : full * dimmedOpacity;
+  });
+  return trace.type === 'scatter3d' ? _.max(opacity) : opacity;
+};
+
+/**
+  * Get the marker opacity of a trace, ignoring any highlight: the opacity set
+  * by the trace configuration, scaled by per-sample stress if it is mapped
+  * onto opacity (in 2D mode only).
+  *
+  * @param {object} trace - A Plotly trace, whose `customdata` hold the indices
+  *                         of its data points
+  * @returns {number|array} The opacity of the trace, or of each of its points
+  */
+MDSVis.prototype.baseOpacity = function(trace) {
+  var marker = this.traceConfig.marker || {};
+  var base = marker.opacity === undefined ? 1 : marker.opacity;
+  if (this.stressMapping !== 'opacity' || trace.type === 'scatter3d' ||
+      trace.customdata === undefined) {
+    return base;
+  }
+  return this.scaledStress(trace).map(val => base * val);
+};
+
+// Export code
+
+/**
+  * Download an image of the plot.
+  *
+  * The image is the size of the plot unless `width` and `height` are given;
+  * for high-resolution PNGs, set `scale` (e.g. 4 for a 4x larger image).
+  *
+  * @param {object} opts - Options (defaulting to `this.exportOptions`):
+  *                          `format`   - 'png' (default) or 'svg'
+  *                          `width`    - image width in pixels
+  *                          `height`   - image height in pixels
+  *                          `scale`    - PNG resolution multiplier
+  *                          `filename` - file name, without extension
+  *
+  * @returns {Promise} Plotly's Promise of the download
+  *
+  * @throws Error If the plot hasn't been drawn, or the format is invalid.
+  */
+MDSVis.prototype.exportImage = function(opts) {
+  opts = _.extend({format: 'png', width: this.layout.width,
+                   height: this.layout.height}, this.exportOptions, opts);
+  if (imageFormats.indexOf(opts.format) === -1) {
+    throw new Error('image format must be \'png\' or \'svg\' ' +
+                    '(mdsvis.exportImage)');
+  }
+  if (this.plotDiv === undefined) {
+    throw new Error('plot has not been drawn (mdsvis.exportImage)');
+  }
+
+  return Plotly.downloadImage(this.plotDiv, opts);
+};
+
+/**
+  * Export the coordinates currently displayed, with each record's metadata and
+  * group.
+  *
+  * There is one row per data point passing the filters, with a column for each
+  * displayed dimension
+  * (named as on the axes, e.g. 'Dimension 2'), then the metadata properties,
+  * then a 'group' column (see `getExportGroupColumn`). The group is the legend
+  * entry of the data point; for numeric groupByKeys coloured by a colour
+  * scale, it is the data point's value.
+  *
+  * @param {string} format - 'csv' (default) or 'json'
+  * @returns {string} The exported data, as CSV or JSON text
+  *
+  * @throws Error If the format is invalid.
+  */
+MDSVis.prototype.exportData = function(format) {
+  format = format || 'csv';
+  if (dataFormats.indexOf(format) === -1) {
+    throw new Error('data format must be \'csv\' or \'json\' ' +
+                    '(mdsvis.exportData)');
+  }
+
+  var rows = this.getExportRows();
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  var columns = _.union.apply(_, rows.map(_.keys));
+  return loaders.formatDelimited(columns, rows);
+};
+
+/**
+  * Get the records to export (see `exportData`).
+  *
+  * @returns {array} One object per data point
+  */
+MDSVis.prototype.getExportRows = function() {
+  var groups = new Map();
+  _.each(this.getGroups(), (data, group) => {
+    data.forEach(val => groups.set(val, group));
+  });
+  var continuous = this.getColorMode() === 'continuous';
+  var dims = this.getDims();
+
+  var column = this.getExportGroupColumn();
+
+  return this.getFilteredData().map((val) => {
+    var row = _.object(dims.map(dim => 'Dimension ' + dim),
+                       dims.map(dim => val.coord[dim-1]));
+    row = _.extend(row, _.omit(val, 'coord'));
+    row[column] = continuous ? val[this.groupByKey] : groups.get(val);
+    return row;
+  });
+};
+
+/**
+  * Get the name of the exported group column: 'group', unless that is a
+  * metadata property, in which case underscores are prepended until the name
+  * is free (e.g. '_group').
+  *
+  * @returns {string} The column name
+  */
+MDSVis.prototype.getExportGroupColumn = function() {
+  var keys = this.metadataSupplied ? Object.keys(this.metadata[0]) : [];
+  var column = 'group';
+  while (keys.indexOf(column) !== -1) {
+    column = '_' + column;
+  }
+  return column;
+};
+
+/**
+  * Export in the given format and download the result, as from the menu bar.
+  *
+  * @param {string} format - One of the image or data formats
+  * @returns {Promise} A Promise which resolves once the download has started,
+  *                    or rejects if the export fails
+  */
+MDSVis.prototype.download = function(format) {
+  if (imageFormats.indexOf(format) !== -1) {
+    return this.exportImage({format: format});
+  }
+
+  var type = format === 'json' ? 'application/json' : 'text/csv';
+  var blob = new Blob([this.exportData(format)], {type: type});
+  var link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = this.exportOptions.filename + '.' + format;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+  return Promise.resolve();
+};
+
+// DOM creation code
+
+/**
+  * Create the menu bar for the visualisation.
+  *
+  * The menu bar is pretty simple. It has the following HTML structure:
+  *
+  * <div class='mdsvis-menubar' style='width: $this.layout.width px'>
+  *   <div class='mdsvis-menubar-section mdsvis-menubar-left'>
+  *     (dimension selector)
+  *     (2D/3D toggle, if there are at least three dimensions)
+  *     (group selector)
+  *     (symbol selector)
+  *     (label selector)
+  *   </div>
+  *   <div class='mdsvis-menubar-section mdsvis-menubar-centre'>
+  *     (search)
+  *     (show/hide labels)
+  *     (show/hide centroids and hulls, and ellipse selector)
+  *     (nearest neighbours selector)
+  *     (show/hide overview, if there are at least three dimensions)
+  *     (show/hide scree plot, if the variance explained is known)
+  *     (show/hide diagnostics, if the distances are known)
+  *   </div>
+  *   <div class='mdsvis-menubar-section mdsvis-menubar-right'>
+  *     (export buttons)
+  *     (show/hide all traces)
+  *   </div>
+  * </div>
+  *
+  * @returns {object} The root div of the menu bar
+  */
+MDSVis.prototype.createMenuBar = function() {
+  var container = document.createElement('div');
+  container.setAttribute('class', 'mdsvis-menubar');
+  container.style.width = this.layout.width + 'px';
+
+  var controls = this.createMenuBarControls();
+  ['left', 'centre', 'right'].forEach((position) => {
+    container.appendChild(createMenuBarSection(position, controls[position]));
+  });
+
+  return container;
+};
+
+/**
+  * Create the controls for each section of the menu bar.
+  *
+  * Controls which don't apply to this instance's data are left out: e.g.
+  * grouping without metadata, or 3D with fewer than three dimensions.
+  *
+  * @returns {object} `{left: array, centre: array, right: array}` of elements
+  */
+MDSVis.prototype.createMenuBarControls = function() {
+  var controls = {
+    left: [this.createDimSelector()],
+    centre: [],
+    right: [this.createExportButtons(), this.createShowHideButtons()]
+  };
+
+  if (this.ndim >= 3) {
+    controls.left.push(this.createModeCheckbox());
+  }
+  if (this.metadataSupplied) {
+    controls.left.push(this.createGroupSelector());
+    controls.left.push(this.createSymbolSelector());
+    controls.left.push(this.createLabelSelector());
+    controls.centre.push(this.createSearchControl());
+    controls.centre.push(this.createShowLabelsCheckbox());
+    controls.centre = controls.centre.concat(this.createSummaryControls());
+  }
+  controls.centre.push(this.createNeighborSelector());
+  controls.centre = controls.centre.concat(this.createPanelCheckboxes());
+
+  return controls;
+};
+
+/**
+  * Create the checkboxes for showing/hiding the panels which apply to this
+  * instance's data: the overview, scree plot and diagnostics.
+  *
+  * @returns {array} The checkbox elements
+  */
+MDSVis.prototype.createPanelCheckboxes = function() {
+  var checkboxes = [];
+  if (this.ndim >= 3) {
+    checkboxes.push(this.createOverviewCheckbox());
+  }
+  if (this.proportions !== undefined) {
+    checkboxes.push(this.createScreeCheckbox());
+  }
+  if (this.distances !== undefined) {
+    checkboxes.push(this.createDiagnosticsCheckbox());
+  }
+  return checkboxes;
+};
+
+/**
+ * Create the dimension selector.
+ *
+ * The dimension selector is the dropdown for selecting the pair (or, in 3D
+ * mode, the triple) of dimensions to visualise. It has the following HTML
+ * structure:
+ *
+ * <div class='mdsvis-menubar-dimselector'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-dimselector-label'>
+ *     Dimensions
+ *   </div>
+ *   <select class='mdsvis-menubar-control mdsvis-dimselector-selector'>
+ *     (options)
+ *   </div>
+ * </div>
+ *
+ * @returns {object} The root div of the dimension selector
+ */
+MDSVis.prototype.createDimSelector = function() {
+  // pairs (or triples) of dimension indices, from 1 to ndim
+  var dims = this.mode === '3d' ?
+      dimensionTriples(this.ndim) : dimensionPairs(this.ndim);
+  var labels = dims.map((option) => {
+    return option.map(dim => dim + this.varianceSuffix(dim)).join(', ');
+  });
+  var selector = createSelector(dims, this.getDims(), labels);
+
+  selector.addEventListener('change', () => {
+    var selected = JSON.parse(selector.options[selector.selectedIndex].value);
+    this.setDimensions.apply(this, selected);
+  });
+
+  return createLabelledControl('dimselector', 'Dimensions', selector);
+};
+
+/**
+ * Create the checkbox for switching between 2D and 3D.
+ *
+ * The checkbox element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-mode'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-mode-label'>
+ *     3D
+ *   </div>
+ *   <input type='checkbox'
+ *          class='mdsvis-menubar-control mdsvis-menubar-mode-checkbox' />
+ * </div>
+ *
+ * @returns {object} The root div of the 2D/3D checkbox
+ */
+MDSVis.prototype.createModeCheckbox = function() {
+  var checkbox = createCheckbox(this.mode === '3d');
+
+  checkbox.addEventListener('change', () => {
+    this.setMode(checkbox.checked ? '3d' : '2d');
+  });
+
+  return createLabelledControl('mode', '3D', checkbox);
+};
+
+/**
+ * Create the group selector.
+ *
+ * The group selector is the dropdown for selecting which key to group by.
+ * It has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-groupselector'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-groupselector-label'>
+ *     Group by
+ *   </div>
+ *   <select class='mdsvis-menubar-control mdsvis-groupselector-selector'>
+ *     (options)
+ *   </div>
+ * </div>
+ *
+ * @returns {object} The root div of the group selector
+ */
+MDSVis.prototype.createGroupSelector = function() {
+  var selector = createSelector(this.getGroupByKeys(), this.groupByKey);
+
+  selector.addEventListener('change', () => {
+    var selected = selector.options[selector.selectedIndex].value;
+    this.setGroupBy(JSON.parse(selected));
+  });
+
+  return createLabelledControl('groupselector', 'Group by ', selector);
+};
+
+/**
+ * Create the symbol selector.
+ *
+ * The symbol selector is the dropdown for selecting which key determines the
+ * marker symbols, if any. It has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-symbolselector'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-symbolselector-label'>
+ *     Symbol by
+ *   </div>
+ *   <select class='mdsvis-menubar-control mdsvis-symbolselector-selector'>
+ *     (options, the first of which is '(none)')
+ *   </div>
+ * </div>
+ *
+ * @returns {object} The root div of the symbol selector
+ */
+MDSVis.prototype.createSymbolSelector = function() {
+  var keys = [noSymbolOption].concat(this.getGroupByKeys());
+  var initial = this.symbolByKey === undefined ?
+      noSymbolOption : this.symbolByKey;
+  var selector = createSelector(keys, initial);
+
+  selector.addEventListener('change', () => {
+    var selected = JSON.parse(selector.options[selector.selectedIndex].value);
+    this.setSymbolBy(selected === noSymbolOption ? undefined : selected);
+  });
+
+  return createLabelledControl('symbolselector', 'Symbol by ', selector);
+};
+
+/**
+ * Create the label selector.
+ *
+ * The label selector is the dropdown for selecting which key labels the data
+ * points. It has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-labelselector'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-labelselector-label'>
+ *     Label by
+ *   </div>
+ *   <select class='mdsvis-menubar-control mdsvis-labelselector-selector'>
+ *     (options, the first of which is '(group)')
+ *   </div>
+ * </div>
+ *
+ * @returns {object} The root div of the label selector
+ */
+MDSVis.prototype.createLabelSelector = function() {
+  var keys = [groupLabelOption].concat(this.getGroupByKeys());
+  var initial = this.labelKey === undefined ? groupLabelOption : this.labelKey;
+  var selector = createSelector(keys, initial);
+
+  selector.addEventListener('change', () => {
+    var selected = JSON.parse(selector.options[selector.selectedIndex].value);
+    this.setLabelKey(selected === groupLabelOption ? undefined : selected);
+  });
+
+  return createLabelledControl('labelselector', 'Label by ', selector);
+};
+
+/**
+ * Create the checkbox for showing/hiding labels.
+ *
+ * The checkbox element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-showlabels'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-showlabels-label'>
+ *     Show labels
+ *   </div>
+ *   <input type='checkbox'
+ *          class='mdsvis-menubar-control mdsvis-showlabels-checkbox' />
+ * </div>
+ *
+ * @returns {object} The root div of the show labels checkbox
+ */
+MDSVis.prototype.createShowLabelsCheckbox = function() {
+  var checkbox = createCheckbox(this.showLabels);
+
+  checkbox.addEventListener('change', () => {
+    this.setShowLabels(checkbox.checked);
+  });
+
+  return createLabelledControl('showlabels', 'Show labels', checkbox);
+};
+
+/**
+ * Create the controls for the group summaries: checkboxes showing or hiding
+ * the centroids and the convex hulls, and a dropdown for the confidence
+ * ellipses. They have the same HTML structure as the other checkboxes and
+ * dropdowns, with classes 'mdsvis-menubar-centroids',
+ * 'mdsvis-menubar-hulls' and 'mdsvis-menubar-ellipses'.
+ *
+ * @returns {array} The root divs of the controls
+ */
+MDSVis.prototype.createSummaryControls = function() {
+  var centroids = createCheckbox(this.summaries.centroids);
+  centroids.addEventListener('change', () => {
+    this.setSummaries({centroids: centroids.checked});
+  });
+
+  var hulls = createCheckbox(this.summaries.hulls);
+  hulls.addEventListener('change', () => {
+    this.setSummaries({hulls: hulls.checked});
+  });
+
+  var ellipses = createSelector(ellipseOptions, this.summaries.ellipses,
+                                ellipseLabels);
+  ellipses.addEventListener('change', () => {
+    var selected = ellipses.options[ellipses.selectedIndex].value;
+    this.setSummaries({ellipses: JSON.parse(selected)});
+  });
+
+  return [createLabelledControl('centroids', 'Centroids', centroids),
+          createLabelledControl('hulls', 'Hulls', hulls),
+          createLabelledControl('ellipses', 'Ellipses', ellipses)];
+};
+
+/**
+ * Create the nearest neighbours selector.
+ *
+ * The nearest neighbours selector is the dropdown for selecting how many
+ * nearest neighbours to link to a hovered data point (see `setNeighbors`).
+ * It has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-neighbors'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-neighbors-label'>
+ *     Neighbours
+ *   </div>
+ *   <select class='mdsvis-menubar-control mdsvis-menubar-neighbors-selector'>
+ *     (options, the first of which is '(off)')
+ *   </div>
+ * </div>
+ *
+ * @returns {object} The root div of the nearest neighbours selector
+ */
+MDSVis.prototype.createNeighborSelector = function() {
+  var labels = neighborOptions.map(k => k === 0 ? '(off)' : String(k));
+  var selector = createSelector(neighborOptions, this.neighbors, labels);
+
+  selector.addEventListener('change', () => {
+    var selected = selector.options[selector.selectedIndex].value;
+    this.setNeighbors(JSON.parse(selected));
+  });
+
+  return createLabelledControl('neighbors', 'Neighbours', selector);
+};
+
+/**
+ * Create the search control.
+ *
+ * The search control searches the metadata as the user types (see `search`).
+ * It has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-search'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-search-label'>
+ *     Search
+ *   </div>
+ *   <input type='search'
+ *          class='mdsvis-menubar-control mdsvis-menubar-search-search' />
+ *   <select class='mdsvis-menubar-search-selector'>
+ *     (options, the first of which is '(all fields)')
+ *   </select>
+ *   <button class='mdsvis-menubar-search-previous'>&lt;</button>
+ *   <button class='mdsvis-menubar-search-next'>&gt;</button>
+ *   <span class='mdsvis-menubar-search-count'>(e.g. 2 of 5)</span>
+ * </div>
+ *
+ * Pressing Enter in the search box also steps to the next match.
+ *
+ * @returns {object} The root div of the search control
+ */
+MDSVis.prototype.createSearchControl = function() {
+  var input = document.createElement('input');
+  input.setAttribute('type', 'search');
+  var fields = createSelector([allFieldsOption].concat(this.getGroupByKeys()));
+  fields.setAttribute('class', 'mdsvis-menubar-search-selector');
+
+  var run = () => {
+    var key = JSON.parse(fields.options[fields.selectedIndex].value);
+    this.search(input.value, key === allFieldsOption ? undefined : key);
+  };
+  input.addEventListener('input', _.debounce(run, 200));
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') {
+      this.nextMatch();
+    }
+  });
+  fields.addEventListener('change', run);
+
+  var container = createLabelledControl('search', 'Search', input);
+  container.appendChild(fields);
+  this.createSearchButtons().forEach(el => container.appendChild(el));
+  return container;
+};
+
+/**
+ * Create the buttons for stepping through search matches, and the match
+ * count (see `createSearchControl`).
+ *
+ * @returns {array} The previous and next buttons, and the match count
+ */
+MDSVis.prototype.createSearchButtons = function() {
+  var previous = document.createElement('button');
+  previous.setAttribute('class', 'mdsvis-menubar-search-previous');
+  previous.innerHTML = '&lt;';
+  previous.addEventListener('click', () => this.previousMatch());
+
+  var next = document.createElement('button');
+  next.setAttribute('class', 'mdsvis-menubar-search-next');
+  next.innerHTML = '&gt;';
+  next.addEventListener('click', () => this.nextMatch());
+
+  var count = document.createElement('span');
+  count.setAttribute('class', 'mdsvis-menubar-search-count');
+
+  return [previous, next, count];
+};
+
+/**
+ * Create the collapsible filter panel.
+ *
+ * The panel has a section for each metadata property: a checkbox for each
+ * value of non-numeric properties, or a pair of sliders setting the range of
+ * numeric properties. The idKey, and properties with more than
+ * `maxFilterValues` distinct values (e.g. sample names), are left out. It
+ * has the following HTML structure:
+ *
+ * <details class='mdsvis-filters'>
+ *   <summary>Filters</summary>
+ *   <div class='mdsvis-filters-key mdsvis-filters-values'>
+ *     <div class='mdsvis-filters-title'>tissue</div>
+ *     <label class='mdsvis-filters-value'>
+ *       <input type='checkbox' /> BM (12)
+ *     </label>
+ *     (likewise for other values)
+ *   </div>
+ *   <div class='mdsvis-filters-key mdsvis-filters-range'>
+ *     <div class='mdsvis-filters-title'>age</div>
+ *     <input type='range' class='mdsvis-filters-min' />
+ *     <input type='range' class='mdsvis-filters-max' />
+ *     <span class='mdsvis-filters-range-label'>2 to 8</span>
+ *   </div>
+ *   (likewise for other properties)
+ * </details>
+ *
+ * @returns {object} The root element of the filter panel
+ */
+MDSVis.prototype.createFilterPanel = function() {
+  var panel = document.createElement('details');
+  panel.setAttribute('class', 'mdsvis-filters');
+
+  var summary = document.createElement('summary');
+  summary.innerHTML = 'Filters';
+  panel.appendChild(summary);
+
+  _.without(this.getGroupByKeys(), this.idKey).forEach((key) => {
+    var values = _.pluck(this.data, key);
+    if (scales.isNumeric(values)) {
+      panel.appendChild(this.createRangeFilter(key, scales.extent(values)));
+    } else if (_.uniq(values).length <= maxFilterValues) {
+      panel.appendChild(this.createValueFilter(key, values));
+    }
+  });
+
+  return panel;
+};
+
+/**
+ * Create the filter panel section for a non-numeric metadata property, with a
+ * checkbox (labelled with the number of data points) for each value.
+ *
+ * @param {string} key    - The metadata property
+ * @param {array}  values - The values of the property, for all data points
+ * @returns {object} The root div of the section
+ */
+MDSVis.prototype.createValueFilter = function(key, values) {
+  var section = createFilterSection(key, 'values');
+  var counts = _.countBy(values, val => JSON.stringify(val));
+  var excluded = (this.filters[key] || {exclude: []}).exclude;
+  var checkboxes = [];
+
+  _.sortBy(_.uniq(values)).forEach((val) => {
+    var checkbox = createCheckbox(excluded.indexOf(val) === -1);
+    checkbox.value = JSON.stringify(val);
+    checkboxes.push(checkbox);
+
+    var label = document.createElement('label');
+    label.setAttribute('class', 'mdsvis-filters-value');
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(' ' + formatValue(val) + ' (' +
+                                              counts[checkbox.value] + ')'));
+    section.appendChild(label);
+  });
+
+  section.addEventListener('change', () => {
+    var exclude = checkboxes.filter(checkbox => !checkbox.checked)
+        .map(checkbox => JSON.parse(checkbox.value));
+    this.applyFilter(key, exclude.length > 0 ? {exclude: exclude} : null);
+  });
+  return section;
+};
+
+/**
+ * Create the filter panel section for a numeric metadata property, with
+ * sliders for the minimum and maximum of the range of values shown.
+ *
+ * @param {string} key    - The metadata property
+ * @param {array}  extent - `[min, max]` of the property's values
+ * @returns {object} The root div of the section
+ */
+MDSVis.prototype.createRangeFilter = function(key, extent) {
+  var section = createFilterSection(key, 'range');
+  var range = this.filters[key] ? this.filters[key].range : extent;
+  var sliders = ['min', 'max'].map((name, i) => {
+    return createSlider(name, extent, range[i]);
+  });
+  var label = document.createElement('span');
+  label.setAttribute('class', 'mdsvis-filters-range-label');
+
+  var values = () => {
+    var selected = sliders.map(slider => snapToExtent(slider, extent));
+    return _.sortBy(selected);
+  };
+  // the ends of the extent are data values; positions in between are rounded
+  var format = val => extent.indexOf(val) === -1 ?
+      scales.formatNumber(val) : formatValue(val);
+  var showRange = () => {
+    label.textContent = values().map(format).join(' to ');
+  };
+  showRange();
+  section.addEventListener('input', showRange);
+  section.addEventListener('change', () => {
+    var selected = values();
+    var full = selected[0] <= extent[0] && selected[1] >= extent[1];
+    this.applyFilter(key, full ? null : {range: selected});
+  });
+
+  sliders.forEach(slider => section.appendChild(slider));
+  section.appendChild(label);
+  return section;
+};
+
+/**
+ * Create the checkbox for showing/hiding the overview of all dimension pairs.
+ *
+ * The checkbox element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-overview'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-overview-label'>
+ *     Overview
+ *   </div>
+ *   <input type='checkbox'
+ *          class='mdsvis-menubar-control mdsvis-menubar-overview-checkbox' />
+ * </div>
+ *
+ * @returns {object} The root div of the overview checkbox
+ */
+MDSVis.prototype.createOverviewCheckbox = function() {
+  var checkbox = createCheckbox(this.showOverview);
+
+  checkbox.addEventListener('change', () => {
+    this.setShowOverview(checkbox.checked);
+  });
+
+  return createLabelledControl('overview', 'Overview', checkbox);
+};
+
+/**
+ * Replace the dimension selector with a new one, matching the current mode
+ * and dimensions.
+ */
+MDSVis.prototype.refreshDimSelector = function() {
+  var oldSelector = this.rootDiv.querySelector('.mdsvis-menubar-dimselector');
+  if (oldSelector !== null) {
+    oldSelector.parentNode.replaceChild(this.createDimSelector(), oldSelector);
+  }
+};
+
+/**
+ * Create the checkbox for showing/hiding the scree plot.
+ *
+ * The checkbox element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-scree'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-scree-label'>
+ *     Scree plot
+ *   </div>
+ *   <input type='checkbox'
+ *          class='mdsvis-menubar-control mdsvis-menubar-scree-checkbox' />
+ * </div>
+ *
+ * @returns {object} The root div of the scree plot checkbox
+ */
+MDSVis.prototype.createScreeCheckbox = function() {
+  var checkbox = createCheckbox(this.showScree);
+
+  checkbox.addEventListener('change', () => {
+    this.setShowScree(checkbox.checked);
+  });
+
+  return createLabelledControl('scree', 'Scree plot', checkbox);
+};
+
+/**
+ * Create the checkbox for showing/hiding the diagnostics panel.
+ *
+ * The checkbox element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-diagnostics'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-diagnostics-label'>
+ *     Diagnostics
+ *   </div>
+ *   <input type='checkbox'
+ *     class='mdsvis-menubar-control mdsvis-menubar-diagnostics-checkbox' />
+ * </div>
+ *
+ * @returns {object} The root div of the diagnostics checkbox
+ */
+MDSVis.prototype.createDiagnosticsCheckbox = function() {
+  var checkbox = createCheckbox(this.showDiagnostics);
+
+  checkbox.addEventListener('change', () => {
+    this.setShowDiagnostics(checkbox.checked);
+  });
+
+  return createLabelledControl('diagnostics', 'Diagnostics', checkbox);
+};
+
+/**
+ * Create the buttons for exporting the plot and data.
+ *
+ * The export element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-export'>
+ *   <div class='mdsvis-menubar-label mdsvis-menubar-export-label'>
+ *     Export
+ *   </div>
+ *   <button class='mdsvis-menubar-export-button mdsvis-menubar-export-png'>
+ *     PNG
+ *   </button>
+ *   (likewise for SVG, CSV and JSON)
+ * </div>
+ *
+ * @returns {object} The root div containing the export buttons
+ */
+MDSVis.prototype.createExportButtons = function() {
+  var container = document.createElement('div');
+  container.setAttribute('class', 'mdsvis-menubar-export');
+
+  var label = document.createElement('div');
+  label.setAttribute('class',
+                     'mdsvis-menubar-label mdsvis-menubar-export-label');
+  label.innerHTML = 'Export';
+  container.appendChild(label);
+
+  imageFormats.concat(dataFormats).forEach((format) => {
+    var button = document.createElement('button');
+    button.setAttribute('class', 'mdsvis-menubar-export-button ' +
+                        'mdsvis-menubar-export-' + format);
+    button.innerHTML = format.toUpperCase();
+    button.addEventListener('click', () => {
+      this.download(format).catch(err => this.emitter.emit('exporterror', err));
+    });
+    container.appendChild(button);
+  });
+
+  return container;
+};
+
+/**
+ * Create the buttons for showing/hiding all traces.
+ *
+ * The show/hide all element has the following HTML structure:
+ *
+ * <div class='mdsvis-menubar-showhideall'>
+ *   <button class='mdsvis-menubar-showall-button'>
+ *     Show all
+ *   </button>
+ *   <button class='mdsvis-menubar-hideall-button'>
+ *     Hide all
+ *   </button>
+ * </div>
+ *
+ * @returns {object} The root div containing the show/hide all buttons
+ */
+MDSVis.prototype.createShowHideButtons = function() {
+  var container = document.createElement('div');
+  container.setAttribute('class', 'mdsvis-menubar-showhideall');
+
+  var showAll = document.createElement('button');
+  showAll.setAttribute('class', 'mdsvis-menubar-showall-button');
+  showAll.innerHTML = 'Show all';
+  showAll.addEventListener('click', () => {
+    Plotly.restyle(this.plotDiv, 'visible', true);
+  });
+
+  var hideAll = document.createElement('button');
+  hideAll.setAttribute('class', 'mdsvis-menubar-hideall-button');
+  hideAll.innerHTML = 'Hide all';
+  hideAll.addEventListener('click', () => {
+    Plotly.restyle(this.plotDiv, 'visible', 'legendonly');
+  });
+
+  container.appendChild(showAll);
+  container.appendChild(hideAll);
+
+  return container;
+};
+
+// Overview (scatterplot matrix) code
+
+/**
+  * Draw (or redraw) the overview of all dimension pairs.
+  *
+  * The overview is a grid of small scatterplots, one for each pair of
+  * dimensions, sharing the group colours and legend of the main plot. The
+  * cell for the pair shown in the main plot is outlined. Clicking on a point
+  * in any cell shows that pair of dimensions in the main plot.
+  */
+MDSVis.prototype.drawOverview = function() {
+  if (this.overviewDiv === undefined) {
+    this.overviewDiv = document.createElement('div');
+    this.overviewDiv.setAttribute('class', 'mdsvis-overview');
+    this.rootDiv.appendChild(this.overviewDiv);
+  }
+
+  Plotly.newPlot(this.overviewDiv, this.getOverviewTraces(),
+                 this.getOverviewLayout(), {displayModeBar: false});
+
+  this.overviewDiv.on('plotly_click', (data) => {
+    var axis = data.points[0].data.xaxis;
+    var pair = dimensionPairs(this.ndim)[axisIndex(axis)];
+    this.showPair(pair[0], pair[1]);
+  });
+};
+
+/**
+  * Remove the overview from the DOM, if it has been drawn.
+  */
+MDSVis.prototype.removeOverview = function() {
+  if (this.overviewDiv !== undefined) {
+    Plotly.purge(this.overviewDiv);
+    this.rootDiv.removeChild(this.overviewDiv);
+    this.overviewDiv = undefined;
+  }
+};
+
+/**
+  * Redraw the overview, if it is being shown.
+  */
+MDSVis.prototype.updateOverview = function() {
+  if (this.showOverview) {
+    this.drawOverview();
+  }
+};
+
+/**
+  * Get the Plotly traces for the overview.
+  *
+  * There is one trace per group per dimension pair. Only the traces of the
+  * first pair appear in the legend, but traces of the same group share a
+  * legend group, so that they are shown and hidden together.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getOverviewTraces = function() {
+  var groups = this.getGroups();
+  var colors = this.getGroupColors();
+  var traces = [];
+
+  dimensionPairs(this.ndim).forEach((pair, k) => {
+    _.keys(groups).forEach((key) => {
+      traces.push({
+        type: 'scatter',
+        mode: 'markers',
+        x: groups[key].map(val => val.coord[pair[0]-1]),
+        y: groups[key].map(val => val.coord[pair[1]-1]),
+        xaxis: 'x' + axisSuffix(k),
+        yaxis: 'y' + axisSuffix(k),
+        name: escapeHtml(key),
+        legendgroup: key,
+        showlegend: k === 0,
+        hoverinfo: 'name',
+        marker: this.overviewMarker(groups[key], colors[key])
+      });
+    });
+  });
+
+  return traces;
+};
+
+/**
+  * Get the Plotly marker properties for one group in the overview, matching
+  * the colours of the main plot.
+  *
+  * @param {array}  group - The data objects in the group
+  * @param {string} color - The colour of the group (see `getGroupColors`)
+  * @returns {object} Plotly marker properties
+  */
+MDSVis.prototype.overviewMarker = function(group, color) {
+  if (this.getColorMode() === 'continuous') {
+    return _.extend({size: 4}, this.colorScaleMarker(group));
+  }
+  return {size: 4, color: color};
+};
+
+/**
+  * Get the Plotly layout for the overview.
+  *
+  * Cells are arranged in the lower triangle of a grid: dimension pair (i, j)
+  * is in column i and row j - 1, counting from the top left.
+  *
+  * @returns {object} A Plotly layout object
+  */
+MDSVis.prototype.getOverviewLayout = function() {
+  var cells = this.ndim - 1;
+  var layout = {
+    width: cells * overviewCellSize + 200,
+    height: cells * overviewCellSize + 60,
+    hovermode: 'closest',
+    margin: {t: 20, r: 20, b: 40, l: 40},
+    shapes: []
+  };
+
+  dimensionPairs(this.ndim).forEach((pair, k) => {
+    var axes = overviewAxes(pair, k, cells);
+    layout['xaxis' + axisSuffix(k)] = axes.x;
+    layout['yaxis' + axisSuffix(k)] = axes.y;
+    if (pair[0] === this.xDim && pair[1] === this.yDim) {
+      layout.shapes.push({
+        type: 'rect', xref: 'paper', yref: 'paper',
+        x0: axes.x.domain[0], x1: axes.x.domain[1],
+        y0: axes.y.domain[0], y1: axes.y.domain[1],
+        line: {color: '#444', width: 2}
+      });
+    }
+  });
+
+  return layout;
+};
+
+// Diagnostics code
+
+/**
+  * Get the Shepard diagram of the coordinates, compared with the distances
+  * in their first `diagnosticDims` dimensions (see `diagnostics.shepard`).
+  *
+  * @returns {object} The Shepard diagram, or undefined if no distances were
+  *                   supplied
+  */
+MDSVis.prototype.getShepard = function() {
+  return this.getDiagnostics().shepard;
+};
+
+/**
+  * Get each data point's share of the stress (see `diagnostics.sampleStress`).
+  *
+  * @returns {array} The stress contribution of each data point, in the same
+  *                  order as the coordinates, or undefined if no distances
+  *                  were supplied
+  */
+MDSVis.prototype.getSampleStress = function() {
+  return this.getDiagnostics().sampleStress;
+};
+
+/**
+  * Compute the diagnostics for the current number of diagnostic dimensions,
+  * reusing them if they have already been computed.
+  *
+  * @returns {object} `{ndim, shepard, sampleStress}`, or an empty object if no
+  *                   distances were supplied
+  */
+MDSVis.prototype.getDiagnostics = function() {
+  if (this.distances === undefined) {
+    return {};
+  }
+  var cached = this.diagnosticCache;
+  if (cached === undefined || cached.ndim !== this.diagnosticDims) {
+    var diagram = diagnostics.shepard(this.distances, this.coords,
+                                      this.diagnosticDims);
+    this.diagnosticCache = {
+      ndim: this.diagnosticDims,
+      shepard: diagram,
+      sampleStress: diagnostics.sampleStress(diagram, this.coords.length)
+    };
+  }
+  return this.diagnosticCache;
+};
+
+/**
+  * Get the per-sample stress of a trace's data points, scaled onto the range
+  * of the stress mapping: e.g. from the smallest marker size, for the least
+  * stress of any data point, to the largest, for the most.
+  *
+  * @param {object} trace - A Plotly trace, whose `customdata` hold the indices
+  *                         of its data points
+  * @returns {array} The scaled stress of each data point in the trace
+  */
+MDSVis.prototype.scaledStress = function(trace) {
+  var stress = this.getSampleStress();
+  var range = stressRanges[this.stressMapping];
+  var extent = scales.extent(stress);
+  var width = extent[1] - extent[0];
+  return trace.customdata.map((i) => {
+    var scaled = width > 0 ? (stress[i] - extent[0]) / width : 0;
+    return range[0] + scaled * (range[1] - range[0]);
+  });
+};
+
+/**
+  * Set the number of dimensions compared with the distances by the
+  * diagnostics, and update the diagnostics panel and the plot to match.
+  *
+  * @param {number} ndim - The number of dimensions, from 1 to `this.ndim`
+  *
+  * @throws Error If no distances were supplied, or ndim is invalid.
+  */
+MDSVis.prototype.setDiagnosticDims = function(ndim) {
+  if (this.distances === undefined) {
+    throw new Error('no distances supplied (mdsvis.setDiagnosticDims)');
+  }
+  if (!_.contains(_.range(1, this.ndim + 1), ndim)) {
+    throw new Error('ndim must be between 1 and ' + this.ndim +
+                    ' (mdsvis.setDiagnosticDims)');
+  }
+
+  this.diagnosticDims = ndim;
+  this.updateDiagnostics();
+  this.updateIfDrawn();
+};
+
+/**
+  * Show per-sample stress by marker size or opacity in the plot, or not at
+  * all.
+  *
+  * Opacity is only used in 2D mode, since 3D markers can't have different
+  * opacities.
+  *
+  * @param {string} mapping - 'size', 'opacity' or null
+  *
+  * @throws Error If no distances were supplied, or mapping is invalid.
+  */
+MDSVis.prototype.setStressMapping = function(mapping) {
+  if (this.distances === undefined) {
+    throw new Error('no distances supplied (mdsvis.setStressMapping)');
+  }
+  if (mapping !== null) {
+    checkStressMapping(mapping, 'mdsvis.setStressMapping');
+  }
+
+  this.stressMapping = mapping === null ? undefined : mapping;
+  this.updateDiagnostics();
+  this.updateIfDrawn();
+};
+
+/**
+  * Show or hide the diagnostics panel.
+  *
+  * The diagnostics panel is only available if the distances were supplied
+  * (see the `distances` option).
+  *
+  * @param {bool} show - Should the diagnostics panel be shown?
+  */
+MDSVis.prototype.setShowDiagnostics = function(show) {
+  this.showDiagnostics = show && this.distances !== undefined;
+  if (this.plotDiv === undefined) {
+    // not drawn yet
+    return;
+  }
+
+  if (this.showDiagnostics) {
+    this.drawDiagnostics();
+  } else {
+    this.removeDiagnostics();
+  }
+};
+
+/**
+  * Draw (or redraw) the diagnostics panel, below the menu bar.
+  *
+  * The panel has controls for the number of dimensions to compare with the
+  * distances and for the stress mapping, and a Shepard diagram. It has the
+  * following HTML structure:
+  *
+  * <div class='mdsvis-diagnostics'>
+  *   <div class='mdsvis-diagnostics-controls'>
+  *     (number of dimensions selector)
+  *     (stress mapping selector)
+  *   </div>
+  *   <div class='mdsvis-diagnostics-shepard js-plotly-plot'>
+  *     (Shepard diagram)
+  *   </div>
+  * </div>
+  */
+MDSVis.prototype.drawDiagnostics = function() {
+  this.removeDiagnostics();
+  this.diagnosticsDiv = document.createElement('div');
+  this.diagnosticsDiv.setAttribute('class', 'mdsvis-diagnostics');
+  this.diagnosticsDiv.appendChild(this.createDiagnosticControls());
+
+  var shepardDiv = document.createElement('div');
+  shepardDiv.setAttribute('class', 'mdsvis-diagnostics-shepard');
+  this.diagnosticsDiv.appendChild(shepardDiv);
+  this.rootDiv.appendChild(this.diagnosticsDiv);
+
+  Plotly.newPlot(shepardDiv, this.getShepardTraces(), this.getShepardLayout(),
+                 {displayModeBar: false});
+};
+
+/**
+  * Remove the diagnostics panel from the DOM, if it has been drawn.
+  */
+MDSVis.prototype.removeDiagnostics = function() {
+  if (this.diagnosticsDiv !== undefined) {
+    var shepardDiv = this.diagnosticsDiv.lastChild;
+    Plotly.purge(shepardDiv);
+    this.rootDiv.removeChild(this.diagnosticsDiv);
+    this.diagnosticsDiv = undefined;
+  }
+};
+
+/**
+  * Redraw the diagnostics panel, if it is being shown.
+  */
+MDSVis.prototype.updateDiagnostics = function() {
+  if (this.showDiagnostics && this.plotDiv !== undefined) {
+    this.drawDiagnostics();
+  }
+};
+
+/**
+  * Create the controls of the diagnostics panel: dropdowns for the number of
+  * dimensions to compare with the distances, and for the stress mapping.
+  *
+  * @returns {object} The div holding the controls
+  */
+MDSVis.prototype.createDiagnosticControls = function() {
+  var container = document.createElement('div');
+  container.setAttribute('class', 'mdsvis-diagnostics-controls');
+
+  var dims = createSelector(_.range(1, this.ndim + 1), this.diagnosticDims);
+  dims.addEventListener('change', () => {
+    this.setDiagnosticDims(JSON.parse(dims.value));
+  });
+  container.appendChild(createLabelledControl('diagnosticdims',
+                                              'Dimensions compared', dims));
+
+  var mappings = [noStressOption].concat(stressMappings);
+  var mapping = createSelector(mappings, this.stressMapping || noStressOption);
+  mapping.addEventListener('change', () => {
+    var selected = JSON.parse(mapping.value);
+    this.setStressMapping(selected === noStressOption ? null : selected);
+  });
+  container.appendChild(createLabelledControl('stressmapping',
+                                              'Show stress by', mapping));
+
+  return container;
+};
+
+/**
+  * Get the Plotly traces for the Shepard diagram: the original and embedded
+  * distance of every pair of data points, and the fitted line through the
+  * origin.
+  *
+  * If there are more than `maxShepardPairs` pairs, they are shown as a 2D
+  * histogram rather than as individual points, which would be slow to draw.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getShepardTraces = function() {
+  var diagram = this.getShepard();
+  var max = _.max(diagram.original);
+  var pairs = {name: 'Pairs', x: diagram.original, y: diagram.embedded};
+
+  if (diagram.original.length > maxShepardPairs) {
+    _.extend(pairs, {
+      type: 'histogram2d',
+      nbinsx: shepardBins,
+      nbinsy: shepardBins,
+      colorscale: [[0, '#ffffff'], [1, screeColors.shown]],
+      showscale: false,
+      hoverinfo: 'x+y+z'
+    });
+  } else {
+    _.extend(pairs, {
+      type: 'scatter',
+      mode: 'markers',
+      hoverinfo: 'x+y',
+      marker: {size: 3, opacity: 0.5, color: screeColors.shown}
+    });
+  }
+
+  return [pairs, {
+    type: 'scatter',
+    mode: 'lines',
+    name: 'Fit',
+    x: [0, max],
+    y: [0, max / diagram.scale],
+    hoverinfo: 'none',
+    line: {color: '#444'}
+  }];
+};
+
+/**
+  * Get the Plotly layout for the Shepard diagram, with the stress of the fit
+  * in the title.
+  *
+  * @returns {object} A Plotly layout object
+  */
+MDSVis.prototype.getShepardLayout = function() {
+  var diagram = this.getShepard();
+  var dims = this.diagnosticDims === 1 ?
+      '1 dimension' : this.diagnosticDims + ' dimensions';
+  return {
+    width: shepardSize,
+    height: shepardSize,
+    showlegend: false,
+    hovermode: 'closest',
+    margin: {t: 40, r: 10, b: 40, l: 50},
+    title: 'Shepard diagram (stress: ' + diagram.stress.toFixed(3) + ')',
+    xaxis: {title: 'Original distance', rangemode: 'tozero'},
+    yaxis: {title: 'Embedded distance (' + dims + ')', rangemode: 'tozero'}
+  };
+};
+
+// Procrustes overlay code
+
+/**
+  * Overlay a second configuration of the same data points on the plot, e.g.
+  * MDS coordinates computed with a different normalisation.
+  *
+  * Unless `align` is false, the configuration is first aligned to this one by
+  * Procrustes analysis (see `procrustes.procrustes`), removing differences
+  * of translation, rotation, reflection and (unless `scale` is false) scale.
+  * Its points are drawn as open circles, with lines from the matching data
+  * points.
+  *
+  * @param {array}  coords - The coordinates of the second configuration, in
+  *                          the same order and with the same dimensions as
+  *                          this instance's coordinates
+  * @param {object} opts   - Options:
+  *                            `name`  - legend name of the overlay (default
+  *                                      'Comparison')
+  *                            `align` - align the configuration first?
+  *                                      (default true)
+  *                            `scale` - allow scaling when aligning?
+  *                                      (default true)
+  *
+  * @returns {object} The result of the Procrustes analysis
+  *
+  * @throws Error If the configurations have different shapes.
+  */
+MDSVis.prototype.setOverlay = function(coords, opts) {
+  opts = _.extend({name: 'Comparison', align: true, scale: true}, opts);
+  var fit = procrustes.procrustes(this.coords, coords, {scale: opts.scale});
+
+  this.overlay = {
+    name: opts.name,
+    coords: opts.align ? fit.coords : coords,
+    statistic: fit.statistic
+  };
+  this.updateIfDrawn();
+  return fit;
+};
+
+/**
+  * Remove the overlaid configuration, if any.
+  */
+MDSVis.prototype.clearOverlay = function() {
+  this.overlay = undefined;
+  this.updateIfDrawn();
+};
+
+/**
+  * Get the Plotly traces for the overlaid configuration, if any: its points
+  * and the lines linking them to the matching data points.
+  *
+  * The lines are a single trace, rather than an annotation (arrow) per data
+  * point, so that large data sets stay responsive.
+  *
+  * The points have the same `customdata` and `ids` as the matching data
+  * points, so hovering over, selecting and highlighting them work as for the
+  * data points.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getOverlayTraces = function() {
+  if (this.overlay === undefined) {
+    return [];
+  }
+
+  var data = this.getVisibleData();
+  var index = this.getRecordIndex();
+  var type = this.mode === '3d' ? 'scatter3d' : 'scatter';
+  var points = {
+    type: type,
+    mode: 'markers',
+    name: escapeHtml(this.overlay.name) + ' (Procrustes: ' +
+        this.overlay.statistic.toFixed(3) + ')',
+    customdata: data.map(val => index.get(val)),
+    ids: data.map(val => this.getSampleId(val)),
+    hoverinfo: 'text',
+    hovertext: data.map(val => this.overlayHoverText(val)),
+    marker: {color: overlayColor, symbol: 'circle-open', size: 10}
+  };
+  var lines = {type: type, mode: 'lines', showlegend: false,
+               hoverinfo: 'none', line: {color: overlayColor, width: 1}};
+
+  this.getDims().forEach((dim, i) => {
+    var axis = axisNames[i];
+    points[axis] = data.map(val => this.overlayCoord(val)[dim-1]);
+    // a null after each line breaks it from the next
+    lines[axis] = _.flatten(data.map((val) => {
+      return [val.coord[dim-1], this.overlayCoord(val)[dim-1], null];
+    }));
+  });
+
+  return [points, lines];
+};
+
+/**
+  * Get the overlaid coordinates matching a data object.
+  *
+  * @param {object} val - The data object
+  * @returns {array} The overlaid coordinates
+  */
+MDSVis.prototype.overlayCoord = function(val) {
+  return this.overlay.coords[this.getRecordIndex().get(val)];
+};
+
+/**
+  * Get the hover text of an overlaid point: the overlay name, the ID (see
+  * `getSampleId`) of the matching data point, and the overlaid coordinates in
+  * the visualised dimensions, one per line.
+  *
+  * @param {object} val - The data object matching the overlaid point
+  * @returns {string} The hover text
+  */
+MDSVis.prototype.overlayHoverText = function(val) {
+  var lines = ['<b>' + escapeHtml(this.overlay.name) + '</b>',
+               escapeHtml(this.getSampleId(val))];
+  this.getDims().forEach((dim) => {
+    lines.push('Dimension ' + dim + ': ' +
+               scales.formatNumber(this.overlayCoord(val)[dim-1]));
+  });
+  return lines.join('<br>');
+};
+
+// Projected samples code
+
+/**
+  * Draw new samples, projected onto this configuration (e.g. by `project`),
+  * over the existing data points.
+  *
+  * Projected samples are drawn as stars (diamonds in 3D) outlined in black,
+  * coloured by group like the other data points. They are filtered like the
+  * other data points, but can't be selected and aren't exported, and don't
+  * affect grouping (e.g. the bins of numeric metadata) or the overlay.
+  * Samples added by repeated calls are all drawn.
+  *
+  * @param {array} coords   - The coordinates of the new samples, with the same
+  *                           dimensions as this instance's coordinates
+  * @param {array} metadata - The metadata of the new samples, with the same
+  *                           properties as this instance's metadata (optional)
+  *
+  * @throws Error If the coordinates have the wrong number of dimensions, or
+  *               the metadata doesn't match the coordinates.
+  */
+MDSVis.prototype.addProjectedSamples = function(coords, metadata) {
+  if (_.some(coords, row => row.length !== this.ndim)) {
+    throw new Error('projected samples must have ' + this.ndim +
+                    ' coordinates (mdsvis.addProjectedSamples)');
+  }
+  if (metadata !== undefined && metadata.length !== coords.length) {
+    throw new Error('projected samples need one metadata object each ' +
+                    '(mdsvis.addProjectedSamples)');
+  }
+
+  var records = coords.map((coord, i) => {
+    return _.extend({coord: coord}, metadata ? metadata[i] : {});
+  });
+  this.projected = this.projected.concat(records);
+  this.updateIfDrawn();
+};
+
+/**
+  * Remove all projected samples.
+  */
+MDSVis.prototype.clearProjectedSamples = function() {
+  this.projected = [];
+  this.updateIfDrawn();
+};
+
+/**
+  * Get the data objects of the projected samples, in the same format as
+  * `this.data`.
+  *
+  * @returns {array} The data objects
+  */
+MDSVis.prototype.getProjectedSamples = function() {
+  return this.projected.slice();
+};
+
+/**
+  * Get the Plotly trace for the projected samples which pass the filters, if
+  * any.
+  *
+  * @returns {array} An array of (at most one) Plotly trace objects
+  */
+MDSVis.prototype.getProjectedTraces = function() {
+  var data = this.getFilteredData(this.projected);
+  if (data.length === 0) {
+    return [];
+  }
+
+  var labelKey = this.labelKey || this.groupByKey;
+  var trace = {
+    type: this.mode === '3d' ? 'scatter3d' : 'scatter',
+    mode: this.showLabels && labelKey ? 'markers+text' : 'markers',
+    name: 'Projected (' + data.length + ')',
+    text: labelKey === undefined ? undefined :
+        data.map(val => escapeHtml(formatValue(val[labelKey]))),
+    textposition: this.traceConfig.textposition,
+    hoverinfo: 'text',
+    hovertext: data.map(val => '<b>Projected</b><br>' + this.hoverText(val)),
+    marker: this.projectedMarker(data)
+  };
+  this.getDims().forEach((dim, i) => {
+    trace[axisNames[i]] = data.map(val => val.coord[dim-1]);
+  });
+  return [trace];
+};
+
+/**
+  * Get the Plotly marker properties for the projected samples: a distinct
+  * symbol, with the colours of their groups.
+  *
+  * @param {array} data - The data objects of the projected samples
+  * @returns {object} Plotly marker properties
+  */
+MDSVis.prototype.projectedMarker = function(data) {
+  var marker = {
+    symbol: this.mode === '3d' ? 'diamond' : 'star',
+    size: 14,
+    line: {color: '#000', width: 1}
+  };
+  if (this.getColorMode() === 'continuous') {
+    return _.extend(marker, this.colorScaleMarker(data));
+  }
+
+  var colors = this.getGroupColors();
+  var groupOf = new Map();
+  _.each(this.groupData(data), (group, key) => {
+    group.forEach(val => groupOf.set(val, key));
+  });
+  marker.color = data.map(val => colors[groupOf.get(val)] || overlayColor);
+  return marker;
+};
+
+// Group summaries code
+
+/**
+  * Set which group summaries are shown: centroids, convex hulls and
+  * confidence ellipses. Summaries not given are left unchanged.
+  *
+  * The menu bar controls are updated to match.
+  *
+  * @param {object} opts - Any of:
+  *                          `centroids` - show group centroids?
+  *                          `hulls`     - show convex hulls (2D only)?
+  *                          `ellipses`  - levels of the confidence ellipses
+  *                                        to show (2D only), e.g. `[0.95]`
+  *
+  * @throws Error If the summaries are invalid (see `checkSummaries`).
+  */
+MDSVis.prototype.setSummaries = function(opts) {
+  checkSummaries(opts, 'mdsvis.setSummaries');
+  _.extend(this.summaries, sortLevels(opts));
+
+  this.syncControl('centroids-checkbox', this.summaries.centroids);
+  this.syncControl('hulls-checkbox', this.summaries.hulls);
+  this.syncControl('ellipses-selector', this.summaries.ellipses);
+  this.updateIfDrawn();
+};
+
+/**
+  * Are any group summaries shown?
+  *
+  * @returns {bool} Are centroids, hulls or ellipses shown?
+  */
+MDSVis.prototype.hasSummaries = function() {
+  return this.summaries.centroids || this.summaries.hulls ||
+      this.summaries.ellipses.length > 0;
+};
+
+/**
+  * Get the Plotly traces summarising each group (see `getGroups`) in the
+  * visualised dimensions, in the colour of the group's trace (or grey, for a
+  * continuous colour scale).
+  *
+  * Each group's summaries share a legend group with its trace, so that they
+  * are shown and hidden with it. Convex hulls and ellipses are 2D only, and
+  * ellipses need at least three data points in the group.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getSummaryTraces = function() {
+  if (!this.hasSummaries()) {
+    return [];
+  }
+
+  var colors = this.getGroupColors();
+  var continuous = this.getColorMode() === 'continuous';
+  var traces = _.map(this.getGroups(), (group, key) => {
+    var color = continuous ? overlayColor : colors[key];
+    return this.groupSummaryTraces(group, key, color).map((trace) => {
+      var hidden = this.hiddenGroups.indexOf(key) !== -1;
+      return _.extend(trace, {legendgroup: key, showlegend: false,
+                              visible: hidden ? 'legendonly' : true});
+    });
+  });
+  return _.flatten(traces, true);
+};
+
+/**
+  * Get the Plotly traces summarising one group.
+  *
+  * @param {array}  data  - The data objects in the group
+  * @param {string} key   - The group value
+  * @param {string} color - The colour of the group's trace
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.groupSummaryTraces = function(data, key, color) {
+  var dims = this.getDims();
+  var points = data.map(val => dims.map(dim => val.coord[dim-1]));
+  var name = escapeHtml(key);
+  var traces = [];
+
+  if (this.summaries.centroids) {
+    traces.push(this.centroidTrace(points, name, color));
+  }
+  if (this.mode === '3d') {
+    return traces;
+  }
+  if (this.summaries.hulls) {
+    var hull = summaries.convexHull(points);
+    traces.push(outlineTrace(hull.concat(hull.slice(0, 1)),
+                             name + ' convex hull', {color: color}));
+  }
+  if (points.length >= 3) {
+    this.summaries.ellipses.forEach((level) => {
+      var label = scales.formatNumber(level * 100) + '% ellipse';
+      traces.push(outlineTrace(summaries.confidenceEllipse(points, level),
+                               name + ' ' + label,
+                               {color: color, dash: 'dash'}));
+    });
+  }
+  return traces;
+};
+
+/**
+  * Get a Plotly trace marking the centroid of a group.
+  *
+  * @param {array}  points - The coordinates of the group's data points, in
+  *                          the visualised dimensions
+  * @param {string} name   - The (HTML-escaped) group value
+  * @param {string} color  - The colour of the group's trace
+  * @returns {object} A Plotly trace object
+  */
+MDSVis.prototype.centroidTrace = function(points, name, color) {
+  var centre = summaries.centroid(points);
+  var lines = ['<b>' + name + ' centroid</b>'];
+  var trace = {
+    type: this.mode === '3d' ? 'scatter3d' : 'scatter',
+    mode: 'markers',
+    name: name + ' centroid',
+    hoverinfo: 'text',
+    marker: {color: color, symbol: 'x', size: 14,
+             line: {color: '#000', width: 1}}
+  };
+
+  this.getDims().forEach((dim, i) => {
+    trace[axisNames[i]] = [centre[i]];
+    lines.push('Dimension ' + dim + ': ' + scales.formatNumber(centre[i]));
+  });
+  trace.hovertext = [lines.join('<br>')];
+  return trace;
+};
+
+// Nearest neighbours code
+
+/**
+  * Set the number of nearest neighbours linked to a hovered data point.
+  *
+  * The menu bar control is updated to match.
+  *
+  * @param {number} k - The number of neighbours, from 0 (for none) to
+  *                     `maxNeighbors`
+  *
+  * @throws Error If the number is invalid (see `checkNeighbors`).
+  */
+MDSVis.prototype.setNeighbors = function(k) {
+  checkNeighbors(k, 'mdsvis.setNeighbors');
+  this.neighbors = k;
+  this.syncControl('neighbors-selector', k);
+};
+
+/**
+  * Get the nearest neighbours of a data point in the full space: by its row
+  * of the `distances` matrix, if supplied, or else by the Euclidean distance
+  * between the data points' coordinates in all dimensions.
+  *
+  * Neighbours are found when a data point is first hovered, in O(n) memory,
+  * rather than from a full distance matrix, and are kept for up to
+  * `maxNeighbors` neighbours so that changing the number of neighbours shown
+  * doesn't recompute them.
+  *
+  * @param {number} index - The index (into `this.data`) of the data point
+  * @returns {array} The indices (into `this.data`) of its nearest neighbours,
+  *                  from nearest to furthest
+  */
+MDSVis.prototype.getNearestNeighbors = function(index) {
+  if (!this.neighborIndex.has(index)) {
+    var origin = this.coords[index];
+    var row = this.distances ? this.distances[index] : this.coords.map((c) => {
+      return Math.hypot.apply(null, c.map((x, k) => x - origin[k]));
+    });
+    this.neighborIndex.set(index,
+                           neighbors.rankNeighbors(row, index, maxNeighbors));
+  }
+  return this.neighborIndex.get(index);
+};
+
+/**
+  * Draw lines from a hovered data point to its nearest neighbours, if
+  * enabled (2D mode only).
+  *
+  * @param {array} indices - The indices (into `this.data`) of the hovered
+  *                          data points; lines are drawn only if there is
+  *                          exactly one
+  */
+MDSVis.prototype.showNeighbors = function(indices) {
+  if (this.neighbors === 0 || this.mode === '3d' || indices.length !== 1) {
+    return;
+  }
+  this.setNeighborShapes(this.getNeighborShapes(this.data[indices[0]]));
+};
+
+/**
+  * Remove the neighbour lines, if any.
+  */
+MDSVis.prototype.hideNeighbors = function() {
+  if (this.neighborShapes.length > 0) {
+    this.setNeighborShapes([]);
+  }
+};
+
+/**
+  * Replace the neighbour lines in the layout, keeping the user's own shapes.
+  *
+  * @param {array} shapes - The new Plotly shapes
+  */
+MDSVis.prototype.setNeighborShapes = function(shapes) {
+  var own = _.difference(this.layout.shapes || [], this.neighborShapes);
+  this.neighborShapes = shapes;
+  this.layout.shapes = own.concat(shapes);
+  Plotly.relayout(this.plotDiv, {shapes: this.layout.shapes});
+};
+
+/**
+  * Get Plotly shapes drawing lines from a data point to its `neighbors`
+  * nearest neighbours in the full space, and dashed lines to the points
+  * which are among its nearest neighbours in the plot, but not in the full
+  * space.
+  *
+  * Only data points which are shown (see `getCachedVisibleData`) are linked.
+  *
+  * @param {object} record - The hovered data object
+  * @returns {array} Plotly shapes
+  */
+MDSVis.prototype.getNeighborShapes = function(record) {
+  var dims = this.getDims();
+  var position = val => dims.map(dim => val.coord[dim-1]);
+  var origin = position(record);
+  var visible = this.getCachedVisibleData();
+
+  var index = this.getRecordIndex().get(record);
+  var full = this.getNearestNeighbors(index).slice(0, this.neighbors)
+      .map(i => this.data[i]);
+  // distances in the plot, from the hovered data point
+  var row = visible.map((val) => {
+    return Math.hypot.apply(null, position(val).map((x, k) => x - origin[k]));
+  });
+  var plotted = neighbors.rankNeighbors(row, visible.indexOf(record),
+                                        this.neighbors).map(j => visible[j]);
+
+  var lines = _.intersection(full, visible).map((val) => {
+    return neighborLine(origin, position(val), {color: neighborColors.full});
+  });
+  return lines.concat(_.difference(plotted, full).map((val) => {
+    return neighborLine(origin, position(val), {
+      color: neighborColors.plotOnly, dash: 'dash'
+    });
+  }));
+};
+
+// Scree plot code
+
+/**
+  * Show or hide the scree plot of the variance explained by each dimension.
+  *
+  * The scree plot is only available if the variance explained is known (see
+  * the `eigenvalues` and `proportions` options).
+  *
+  * @param {bool} show - Should the scree plot be shown?
+  */
+MDSVis.prototype.setShowScree = function(show) {
+  this.showScree = show && this.proportions !== undefined;
+  if (this.plotDiv === undefined) {
+    // not drawn yet
+    return;
+  }
+
+  if (this.showScree) {
+    this.drawScree();
+  } else {
+    this.removeScree();
+  }
+  // in responsive mode, the plot makes room for the scree plot
+  if (this.responsive) {
+    this.resize();
+  }
+};
+
+/**
+  * Draw (or redraw) the scree plot, beside the main plot.
+  *
+  * The scree plot is a bar chart of the percentage of variance explained by
+  * each dimension, with a line showing the cumulative percentage. The bars of
+  * the visualised dimensions are highlighted.
+  */
+MDSVis.prototype.drawScree = function() {
+  if (this.screeDiv === undefined) {
+    this.screeDiv = document.createElement('div');
+    this.screeDiv.setAttribute('class', 'mdsvis-scree');
+    this.rootDiv.insertBefore(this.screeDiv, this.plotDiv.nextSibling);
+  }
+
+  Plotly.newPlot(this.screeDiv, this.getScreeTraces(), this.getScreeLayout(),
+                 {displayModeBar: false});
+};
+
+/**
+  * Remove the scree plot from the DOM, if it has been drawn.
+  */
+MDSVis.prototype.removeScree = function() {
+  if (this.screeDiv !== undefined) {
+    Plotly.purge(this.screeDiv);
+    this.rootDiv.removeChild(this.screeDiv);
+    this.screeDiv = undefined;
+  }
+};
+
+/**
+  * Redraw the scree plot, if it is being shown.
+  */
+MDSVis.prototype.updateScree = function() {
+  if (this.showScree) {
+    this.drawScree();
+  }
+};
+
+/**
+  * Get the Plotly traces for the scree plot: the variance explained by each
+  * dimension, as bars, and the cumulative variance explained, as a line.
+  *
+  * @returns {array} An array of Plotly trace objects
+  */
+MDSVis.prototype.getScreeTraces = function() {
+  var dims = _.range(1, this.proportions.length + 1);
+  var percents = this.proportions.map(val => val * 100);
+  var shown = this.getDims();
+  var cumulative = 0;
+
+  return [{
+    type: 'bar',
+    name: 'Dimension',
+    x: dims,
+    y: percents,
+    hoverinfo: 'text',
+    text: dims.map(dim => this.dimensionTitle(dim)),
+    marker: {color: dims.map((dim) => {
+      return shown.indexOf(dim) === -1 ? screeColors.other : screeColors.shown;
+    })}
+  }, {
+    type: 'scatter',
+    mode: 'lines+markers',
+    name: 'Cumulative',
+    x: dims,
+    y: percents.map(val => (cumulative += val)),
+    hoverinfo: 'y+name',
+    line: {color: '#444'},
+    marker: {size: 4}
+  }];
+};
+
+/**
+  * Get the Plotly layout for the scree plot, matching the height of the main
+  * plot.
+  *
+  * @returns {object} A Plotly layout object
+  */
+MDSVis.prototype.getScreeLayout = function() {
+  return {
+    width: screeWidth,
+    height: this.layout.height,
+    showlegend: false,
+    margin: {t: 40, r: 10, b: 40, l: 50},
+    title: 'Variance explained',
+    xaxis: {title: 'Dimension', dtick: 1},
+    yaxis: {title: '%', rangemode: 'tozero'}
+  };
+};
+
+// Helper functions
+
+/**
+  * Check the required arguments of the MDSVis constructor.
+  *
+  * @param {object} el     - The root element of the visualisation
+  * @param {array}  coords - The multidimensional coordinates to visualise
+  *
+  * @throws Error If root element or coordinates are not provided.
+  */
+function checkArguments(el, coords) {
+  if (el === undefined) {
+    throw new Error('no root div supplied (mdsvis.create)');
+  }
+  if (coords === undefined) {
+    throw new Error('no coords supplied (mdsvis.create)');
+  }
+}
+
+/**
+  * Create one section (left, centre or right) of the menu bar.
+  *
+  * @param {string} position - 'left', 'centre' or 'right'
+  * @param {array}  children - The elements to put in the section
+  *
+  * @returns {object} The div of the menu bar section
+  */
+function createMenuBarSection(position, children) {
+  var section = document.createElement('div');
+  section.setAttribute('class', 'mdsvis-menubar-section');
+  section.className += ' mdsvis-menubar-' + position;
+  children.forEach(child => section.appendChild(child));
+  return section;
+}
+
+/**
+  * Wrap a menu bar control in a container, along with a label.
+  *
+  * Given name 'foo', the element has the following HTML structure:
+  *
+  * <div class='mdsvis-menubar-foo'>
+  *   <div class='mdsvis-menubar-label mdsvis-menubar-foo-label'>
+  *     (label text)
+  *   </div>
+  *   <control class='mdsvis-menubar-control mdsvis-menubar-foo-$type' />
+  * </div>
+  *
+  * where $type is 'selector' for dropdowns, or otherwise the control's type
+  * attribute (e.g. 'checkbox').
+  *
+  * @param {string} name      - Name of the control, used in class names
+  * @param {string} labelText - Text of the label
+  * @param {object} control   - The control element
+  *
+  * @returns {object} The container div
+  */
+function createLabelledControl(name, labelText, control) {
   var container = document.createElement('div');
-  container.setAttribute('class', 'mdsvis-menubar-groupselector');
+  container.setAttribute('class', 'mdsvis-menubar-' + name);
 
   var label = document.createElement('div');
-  label.innerHTML = 'Group by ';
+  label.innerHTML = labelText;
   label.setAttribute('class', 'mdsvis-menubar-label');
-  label.className += ' mdsvis-menubar-groupselector-label';
-
-  var selector = createSelector(this.getGroupByKeys(), this.groupByKey);
-  selector.setAttribute('class', 'mdsvis-menubar-control');
-  selector.className += ' mdsvis-menubar-groupselector-selector';
+  label.className += ' mdsvis-menubar-' + name + '-label';
 
-  selector.addEventListener('change', () => {
-    var selected = selector.options[selector.selectedIndex].value;
-    this.groupByKey = JSON.parse(selected);
-    this.update();
-  });
+  var type = control.tagName.toLowerCase() === 'select' ?
+      'selector' : control.getAttribute('type');
+  control.setAttribute('class', 'mdsvis-menubar-control');
+  control.className += ' mdsvis-menubar-' + name + '-' + type;
 
   container.appendChild(label);
-  container.appendChild(selector);
+  container.appendChild(control);
 
   return container;
-};
+}
 
 /**
- * Create the checkbox for showing/hiding labels.
- *
- * The checkbox element has the following HTML structure:
- *
- * <div class='mdsvis-menubar-showlabels'>
- *   <div class='mdsvis-menubar-label mdsvis-menubar-showlabels-label'>
- *     Show labels
- *   </div>
- *   <input type='checkbox'
- *          class='mdsvis-menubar-control mdsvis-showlabels-checkbox' />
- * </div>
- *
- * @returns {object} The root div of the show labels checkbox
- */
-MDSVis.prototype.createShowLabelsCheckbox = function() {
-  var container = document.createElement('div');
-  container.setAttribute('class', 'mdsvis-menubar-showlabels');
+  * Check that every metadata object has a unique value of an ID property.
+  *
+  * @param {array}  metadata - The metadata array
+  * @param {string} idKey    - The ID property
+  *
+  * @throws Error If there is no metadata, or the IDs are missing or not
+  *               unique.
+  */
+function checkIds(metadata, idKey) {
+  if (metadata === undefined) {
+    throw new Error('idKey supplied without metadata (mdsvis.create)');
+  }
+  var ids = _.pluck(metadata, idKey);
+  if (_.some(ids, scales.isMissing) || _.uniq(ids).length !== ids.length) {
+    throw new Error('values of idKey "' + idKey + '" must be present and ' +
+                    'unique (mdsvis.create)');
+  }
+}
 
-  var label = document.createElement('div');
-  label.innerHTML = 'Show labels';
-  label.setAttribute('class', 'mdsvis-menubar-label');
-  label.className += ' mdsvis-menubar-showlabels-label';
+/**
+  * Get the IDs of all the data points in the given traces, in sorted order
+  * (so that the same points give the same IDs however they are grouped).
+  *
+  * @param {array} traces - Plotly traces
+  * @returns {array} The IDs
+  */
+function tracesIds(traces) {
+  return _.sortBy(_.flatten(_.compact(_.pluck(traces, 'ids'))));
+}
 
-  var checkbox = document.createElement('input');
-  checkbox.setAttribute('type', 'checkbox');
-  checkbox.setAttribute('class', 'mdsvis-menubar-control');
-  checkbox.className += ' mdsvis-menubar-showlabels-checkbox';
-  if (this.showLabels) {
-    checkbox.setAttribute('checked', '');
+/**
+  * Get an axis range spanning the given values, with some padding.
+  *
+  * @param {array} values - The values (nulls are ignored)
+  * @returns {array} `[min, max]` of the range
+  */
+function paddedRange(values) {
+  var range = scales.extent(values);
+  var padding = (range[1] - range[0]) * rangePadding || 1;
+  return [range[0] - padding, range[1] + padding];
+}
+
+/**
+  * Does a metadata value pass a filter (see `MDSVis.setFilter`)?
+  *
+  * @param          val    - The metadata value
+  * @param {object} filter - The filter
+  * @returns {bool} Does the value pass?
+  */
+function passesFilter(val, filter) {
+  if (filter.range !== undefined) {
+    return !scales.isMissing(val) &&
+        val >= filter.range[0] && val <= filter.range[1];
   }
+  return filter.exclude.indexOf(val) === -1;
+}
 
-  checkbox.addEventListener('change', () => {
-    if (checkbox.checked) {
-      this.showLabels = true;
-    } else {
-      this.showLabels = false;
-    }
-    this.update();
-  });
+/**
+  * Create an (empty) section of the filter panel, titled with a metadata
+  * property.
+  *
+  * @param {string} key  - The metadata property
+  * @param {string} type - 'values' or 'range'
+  * @returns {object} The root div of the section
+  */
+function createFilterSection(key, type) {
+  var section = document.createElement('div');
+  section.setAttribute('class', 'mdsvis-filters-key mdsvis-filters-' + type);
 
-  container.appendChild(label);
-  container.appendChild(checkbox);
+  var title = document.createElement('div');
+  title.setAttribute('class', 'mdsvis-filters-title');
+  title.textContent = key;
+  section.appendChild(title);
 
-  return container;
-};
+  return section;
+}
 
 /**
- * Create the buttons for showing/hiding all traces.
- *
- * The show/hide all element has the following HTML structure:
- *
- * <div class='mdsvis-menubar-showhideall'>
- *   <button class='mdsvis-menubar-showall-button'>
- *     Show all
- *   </button>
- *   <button class='mdsvis-menubar-hideall-button'>
- *     Hide all
- *   </button>
- * </div>
- *
- * @returns {object} The root div containing the show/hide all buttons
- */
-MDSVis.prototype.createShowHideButtons = function() {
-  var container = document.createElement('div');
-  container.setAttribute('class', 'mdsvis-menubar-showhideall');
+  * Create a range slider input, with `rangeSteps` steps.
+  *
+  * @param {string} name   - 'min' or 'max', used in the class name
+  * @param {array}  extent - `[min, max]` of the slider
+  * @param {number} value  - Initial value of the slider
+  * @returns {object} The slider element
+  */
+function createSlider(name, extent, value) {
+  var slider = document.createElement('input');
+  slider.setAttribute('type', 'range');
+  slider.setAttribute('class', 'mdsvis-filters-' + name);
+  slider.min = extent[0];
+  slider.max = extent[1];
+  slider.step = (extent[1] - extent[0]) / rangeSteps || 1;
+  slider.value = value;
+  return slider;
+}
 
-  var showAll = document.createElement('button');
-  showAll.setAttribute('class', 'mdsvis-menubar-showall-button');
-  showAll.innerHTML = 'Show all';
-  showAll.addEventListener('click', () => {
-    Plotly.restyle(this.plotDiv, 'visible', true);
-  });
+/**
+  * Format a metadata value for display, e.g. in labels or the filter panel.
+  *
+  * Values are shown exactly as supplied; only coordinates are rounded (see
+  * `scales.formatNumber`).
+  *
+  * @param          val - The metadata value
+  * @returns {string} The value as a string, or 'NA' if missing
+  */
+function formatValue(val) {
+  return scales.isMissing(val) ? 'NA' : String(val);
+}
 
-  var hideAll = document.createElement('button');
-  hideAll.setAttribute('class', 'mdsvis-menubar-hideall-button');
-  hideAll.innerHTML = 'Hide all';
-  hideAll.addEventListener('click', () => {
-    Plotly.restyle(this.plotDiv, 'visible', 'legendonly');
-  });
+/**
+  * Format a proportion as a percentage, to one decimal place: e.g. '18.4%'.
+  *
+  * @param {number} proportion - The proportion, between 0 and 1
+  * @returns {string} The percentage
+  */
+function formatPercent(proportion) {
+  return (proportion * 100).toFixed(1) + '%';
+}
 
-  container.appendChild(showAll);
-  container.appendChild(hideAll);
+/**
+  * Escape the characters of a string which are special in HTML.
+  *
+  * @param {string} str - The string to escape
+  * @returns {string} The escaped string
+  */
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, char => htmlEscapes[char]);
+}
 
-  return container;
-};
+/**
+  * Get the value of a range slider, snapped to the ends of its extent when
+  * within half a step of them (so that rounding never excludes the minimum
+  * or maximum value).
+  *
+  * @param {object} slider - The slider element
+  * @param {array}  extent - `[min, max]` of the slider
+  * @returns {number} The slider value
+  */
+function snapToExtent(slider, extent) {
+  var value = Number(slider.value);
+  var tolerance = Number(slider.step) / 2;
+  if (value <= extent[0] + tolerance) {
+    return extent[0];
+  }
+  return value >= extent[1] - tolerance ? extent[1] : value;
+}
 
-// Helper functions
+/**
+  * Convert a search query to a regular expression.
+  *
+  * A query of the form '/pattern/flags' is parsed as a regular expression
+  * (ignoring the stateful 'g' and 'y' flags). Any other query becomes a
+  * case-insensitive substring match.
+  *
+  * @param {string} query - The search query
+  * @returns {RegExp} The regular expression, or null if the query is an
+  *                   invalid regular expression
+  */
+function searchPattern(query) {
+  var parts = /^\/(.*)\/([a-z]*)$/.exec(query);
+  if (parts === null) {
+    var escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(escaped, 'i');
+  }
+
+  try {
+    return new RegExp(parts[1], parts[2].replace(/[gy]/g, ''));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+  * Does a metadata value match a search pattern?
+  *
+  * @param {RegExp} pattern - The pattern, or null (which matches nothing)
+  * @param          val     - The metadata value
+  * @returns {bool} Does the value match?
+  */
+function matchesPattern(pattern, val) {
+  return pattern !== null && !scales.isMissing(val) &&
+      pattern.test(String(val));
+}
+
+/**
+  * Parse a URL hash of the form '#key1=value1&key2=value2'.
+  *
+  * @param {string} hash - The URL hash, e.g. `location.hash`
+  * @returns {object} The decoded values, by key
+  */
+function parseHash(hash) {
+  var pairs = hash.replace(/^#/, '').split('&').filter(pair => pair !== '');
+  return _.object(pairs.map((pair) => {
+    var i = pair.indexOf('=');
+    return i === -1 ? [decodeURIComponent(pair), ''] :
+        [decodeURIComponent(pair.slice(0, i)),
+         decodeURIComponent(pair.slice(i + 1))];
+  }));
+}
+
+/**
+  * Format values as a URL hash: the inverse of `parseHash`.
+  *
+  * @param {object} params - Values (strings), by key
+  * @returns {string} The URL hash, e.g. '#mdsvis=%7B...%7D'
+  */
+function formatHash(params) {
+  return '#' + _.map(params, (value, key) => {
+    return encodeURIComponent(key) + '=' + encodeURIComponent(value);
+  }).join('&');
+}
+
+/**
+  * Create a checkbox input.
+  *
+  * @param {bool} checked - Should the checkbox initially be checked?
+  *
+  * @returns {object} The checkbox element
+  */
+function createCheckbox(checked) {
+  var checkbox = document.createElement('input');
+  checkbox.setAttribute('type', 'checkbox');
+  if (checked) {
+    checkbox.setAttribute('checked', '');
+  }
+  return checkbox;
+}
 
 /**
   * Create a dropdown selector from an array of options.
   *
   * The options need not be strings. toString is used to convert the option
-  * values to strings for displaying in the dropdown, while JSON.stringify
-  * is used to store the values, allowing the values to later be retrieved with
-  * JSON.parse.
+  * values to strings for displaying in the dropdown (unless labels are given),
+  * while JSON.stringify is used to store the values, allowing the values to
+  * later be retrieved with JSON.parse.
   *
   * The initial selection defaults to the first item in the array of options,
   * but a different initial value may be specified.
@@ -678,21 +4803,22 @@ MDSVis.prototype.createShowHideButtons = function() {
   * @param {array} opts    - An array of options to list in the dropdown
   * @param         initial - The value to use as the initial selection; should
   *                          be a value contained in `opts`
+  * @param {array} labels  - The text to display for each option (optional)
   *
   * @returns {object} A dropdown element with options corresponding to `opts`
   * @throws Error if the `opts` array contains `undefined`
   */
-function createSelector(opts, initial) {
+function createSelector(opts, initial, labels) {
   if (opts.indexOf(undefined) !== -1) {
     throw new Error('the array of dropdown options cannot include `undefined`');
   }
 
   var selector = document.createElement('select');
 
-  opts.forEach((val) => {
+  opts.forEach((val, i) => {
     var opt = document.createElement('option');
     opt.value = JSON.stringify(val);
-    opt.innerHTML = val.toString();
+    opt.innerHTML = labels === undefined ? val.toString() : labels[i];
     if (opt.value === JSON.stringify(initial)) {
       opt.setAttribute('selected', '');
     }
@@ -729,8 +4855,242 @@ function dimensionPairs(ndim) {
 }
 
 
+/**
+  * Get array of all triples of dimensions which can be visualised in 3D.
+  *
+  * As with `dimensionPairs`, dimensions must be in increasing order. For
+  * example,
+  *
+  *     dimensionTriples(4) => [[1,2,3],[1,2,4],[1,3,4],[2,3,4]]
+  *
+  * @param ndim Number of dimensions in the data
+  * @returns An array of dimension triples, which are three-element arrays
+  */
+function dimensionTriples(ndim) {
+  var triples = [];
+
+  dimensionPairs(ndim).forEach((pair) => {
+    for (var k=pair[1]+1; k <= ndim; k++) {
+      triples.push(pair.concat([k]));
+    }
+  });
+
+  return triples;
+}
+
+/**
+  * Get the Plotly axis id suffix for the k-th subplot (0-offset).
+  *
+  * The first subplot uses axes 'x' and 'y', the second 'x2' and 'y2', etc.
+  *
+  * @param {number} k - Index of the subplot
+  * @returns {string} The axis id suffix
+  */
+function axisSuffix(k) {
+  return k === 0 ? '' : String(k + 1);
+}
+
+/**
+  * Inverse of `axisSuffix`: get the subplot index from an axis id.
+  *
+  * @param {string} axis - An axis id, e.g. 'x' or 'x3'
+  * @returns {number} The index of the subplot (0-offset)
+  */
+function axisIndex(axis) {
+  var suffix = axis.slice(1);
+  return suffix === '' ? 0 : Number(suffix) - 1;
+}
+
+/**
+  * Get the colour of the group at a given index. These are the colours Plotly
+  * uses by default for traces, in order.
+  *
+  * @param {number} index - Index of the group
+  * @returns {string} A colour
+  */
+function groupColor(index) {
+  return defaultColors[index % defaultColors.length];
+}
+
+/**
+  * Get the x and y axis layouts for one cell of the overview.
+  *
+  * @param {array}  pair  - The pair of dimensions shown in the cell
+  * @param {number} k     - Index of the cell's subplot
+  * @param {number} cells - Number of cells in each row/column of the grid
+  * @returns {object} `{x: object, y: object}` Plotly axis layouts
+  */
+function overviewAxes(pair, k, cells) {
+  var size = 1 / cells;
+  var gap = 0.02;
+  var col = pair[0] - 1;
+  var row = pair[1] - 2;
+  var common = {showticklabels: false, showgrid: false, zeroline: false};
+
+  return {
+    x: _.extend({
+      domain: [col * size + gap, (col + 1) * size - gap],
+      anchor: 'y' + axisSuffix(k),
+      title: row === cells - 1 ? 'Dimension ' + pair[0] : ''
+    }, common),
+    y: _.extend({
+      domain: [1 - (row + 1) * size + gap, 1 - row * size - gap],
+      anchor: 'x' + axisSuffix(k),
+      title: col === 0 ? 'Dimension ' + pair[1] : ''
+    }, common)
+  };
+}
+
+/**
+  * Check that a stress mapping is valid.
+  *
+  * @param {string} mapping - The stress mapping
+  * @param {string} caller  - The name of the calling function, for errors
+  *
+  * @throws Error If the mapping is not 'size' or 'opacity'.
+  */
+function checkStressMapping(mapping, caller) {
+  if (stressMappings.indexOf(mapping) === -1) {
+    throw new Error('stressMapping must be "size" or "opacity" (' + caller +
+                    ')');
+  }
+}
+
+/**
+  * Check group summary options (see `setSummaries`).
+  *
+  * @param {object} opts   - Any of `centroids`, `hulls` and `ellipses`
+  * @param {string} caller - The calling function, for error messages
+  *
+  * @throws Error If there are unknown summaries, or the ellipse levels are
+  *               not an array of numbers between 0 and 1.
+  */
+function checkSummaries(opts, caller) {
+  var unknown = _.difference(_.keys(opts), _.keys(defaultSummaries));
+  if (unknown.length > 0) {
+    throw new Error('unknown group summary "' + unknown[0] + '" (' + caller +
+                    ')');
+  }
+  var levels = opts.ellipses;
+  if (levels !== undefined && (!_.isArray(levels) ||
+      _.some(levels, level => !(level > 0 && level < 1)))) {
+    throw new Error('ellipses must be an array of levels between 0 and 1 (' +
+                    caller + ')');
+  }
+}
+
+/**
+  * Put the ellipse levels of group summaries in increasing order, without
+  * duplicates, so that they match the options of the menu bar selector.
+  *
+  * @param {object} opts - Group summaries (see `setSummaries`)
+  * @returns {object} A copy of the summaries, with the levels sorted
+  */
+function sortLevels(opts) {
+  if (opts === undefined || opts.ellipses === undefined) {
+    return opts;
+  }
+  return _.extend({}, opts, {ellipses: _.uniq(_.sortBy(opts.ellipses), true)});
+}
+
+/**
+  * Check a number of nearest neighbours (see `setNeighbors`).
+  *
+  * @param {number} k      - The number of neighbours
+  * @param {string} caller - The calling function, for error messages
+  *
+  * @throws Error If k is not an integer from 0 to `maxNeighbors`.
+  */
+function checkNeighbors(k, caller) {
+  if (!_.isNumber(k) || k % 1 !== 0 || k < 0 || k > maxNeighbors) {
+    throw new Error('neighbors must be an integer from 0 to ' + maxNeighbors +
+                    ' (' + caller + ')');
+  }
+}
+
+/**
+  * Get a Plotly shape drawing a line between two points, below the data.
+  *
+  * @param {array}  from - The [x, y] position of one end
+  * @param {array}  to   - The [x, y] position of the other end
+  * @param {object} line - Plotly line properties
+  * @returns {object} A Plotly shape
+  */
+function neighborLine(from, to, line) {
+  return {
+    type: 'line', xref: 'x', yref: 'y', layer: 'below',
+    x0: from[0], y0: from[1], x1: to[0], y1: to[1],
+    line: _.extend({width: 1}, line)
+  };
+}
+
+/**
+  * Get a Plotly trace outlining a group (e.g. its convex hull).
+  *
+  * @param {array}  vertices - The [x, y] vertices of the outline, in order
+  * @param {string} name     - The (HTML-escaped) name of the trace
+  * @param {object} line     - Plotly line properties
+  * @returns {object} A Plotly trace object
+  */
+function outlineTrace(vertices, name, line) {
+  return {
+    type: 'scatter',
+    mode: 'lines',
+    name: name,
+    x: _.pluck(vertices, 0),
+    y: _.pluck(vertices, 1),
+    hoverinfo: 'name',
+    line: _.extend({width: 1}, line)
+  };
+}
+
+/**
+  * Check whether a pair (or triple) of dimensions can be visualised.
+  *
+  * @param {array}  dims - A pair or triple of dimensions
+  * @param {number} ndim - Number of dimensions in the data
+  * @returns {bool} Is `dims` one of `dimensionPairs(ndim)` (for a pair) or
+  *                 `dimensionTriples(ndim)` (for a triple)?
+  */
+function isValidDims(dims, ndim) {
+  var valid = dims.length === 3 ?
+      dimensionTriples(ndim) : dimensionPairs(ndim);
+  var validStrings = _.map(valid, JSON.stringify);
+  return validStrings.indexOf(JSON.stringify(dims)) !== -1;
+}
+
+/**
+  * Check that a visualisation mode is valid for data of a given dimension.
+  *
+  * @param {string} mode   - Should be '2d' or '3d'
+  * @param {number} ndim   - Number of dimensions in the data
+  * @param {string} caller - Name of the calling function, for error messages
+  *
+  * @throws Error If mode is not valid.
+  */
+function checkMode(mode, ndim, caller) {
+  if (mode !== '2d' && mode !== '3d') {
+    throw new Error('mode must be \'2d\' or \'3d\' (' + caller + ')');
+  }
+  if (mode === '3d' && ndim < 3) {
+    throw new Error('3d mode needs at least three dimensions (' + caller + ')');
+  }
+}
+
+
 // module exports
-//module.exports.mds = mds.mds;
+module.exports.mds = mds.mds;
+module.exports.project = mds.project;
+module.exports.nmds = nmds.nmds;
+module.exports.distanceMatrix = distance.distanceMatrix;
+module.exports.parseDelimited = loaders.parseDelimited;
+module.exports.loadDelimited = loaders.loadDelimited;
+module.exports.computeAsync = asyncCompute.computeAsync;
+module.exports.shepard = diagnostics.shepard;
+module.exports.sampleStress = diagnostics.sampleStress;
+module.exports.procrustes = procrustes.procrustes;
+module.exports.convexHull = summaries.convexHull;
+module.exports.confidenceEllipse = summaries.confidenceEllipse;
 module.exports.handlers = handlers;
 
 /**
@@ -739,3 +5099,10 @@ module.exports.handlers = handlers;
 module.exports.create = function(el, coords, opts) {
   return new MDSVis(el, coords, opts);
 };
+
+/**
+  * Wrapper function which links several visualisations (see link.js).
+  */
+module.exports.link = function(instances) {
+  return new Link(instances);
+};
@@ -0,0 +1,77 @@
+/*
+ * Nearest neighbours of points, given the distances between them.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+/**
+  * Insert a point into a list of nearest neighbours, kept in order of
+  * distance, after any points at the same distance.
+  *
+  * @param {array}  nearest - Indices of the nearest points so far (modified)
+  * @param {array}  row     - The distance from the point to every point
+  * @param {number} j       - The index of the point to insert
+  */
+function insertNeighbor(nearest, row, j) {
+  var pos = nearest.length;
+  while (pos > 0 && row[nearest[pos-1]] > row[j]) {
+    pos--;
+  }
+  nearest.splice(pos, 0, j);
+}
+
+/**
+  * Rank the other points by their distance from one point.
+  *
+  * Only the k nearest are kept while scanning the row, which takes O(n k)
+  * time rather than sorting all n points. Ties are broken by index, so the
+  * ranking is deterministic.
+  *
+  * @param {array}  row  - The distance from the point to every point
+  * @param {number} self - The index of the point itself, which is left out
+  * @param {number} k    - The number of neighbours to return
+  * @returns {array} The indices of the (up to) k nearest other points, from
+  *                  nearest to furthest
+  */
+function rankNeighbors(row, self, k) {
+  var nearest = [];
+  row.forEach((dist, j) => {
+    var full = nearest.length >= k;
+    if (j === self || (full && dist >= row[_.last(nearest)])) {
+      return;
+    }
+    insertNeighbor(nearest, row, j);
+    if (nearest.length > k) {
+      nearest.pop();
+    }
+  });
+  return nearest;
+}
+
+/**
+  * Find the k nearest neighbours of every point.
+  *
+  * For example,
+  *
+  *     > nearestNeighbors([[0, 1, 3], [1, 0, 1.5], [3, 1.5, 0]], 1)
+  *     [ [1], [0], [1] ]
+  *
+  * @param {array}  distances - A symmetric n x n distance matrix
+  * @param {number} k         - The number of neighbours of each point
+  * @returns {array} For each point, the indices of its (up to) k nearest
+  *                  neighbours, from nearest to furthest
+  */
+function nearestNeighbors(distances, k) {
+  return distances.map((row, i) => rankNeighbors(row, i, k));
+}
+
+// exports
+module.exports.rankNeighbors = rankNeighbors;
+module.exports.nearestNeighbors = nearestNeighbors;
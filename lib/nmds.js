@@ -0,0 +1,287 @@
+/*
+ * Non-metric (Kruskal) Multidimensional Scaling (MDS).
+ *
+ * Find low-dimensional coordinates whose pairwise distances preserve the
+ * _rank order_ of the supplied dissimilarities, by minimising Kruskal's
+ * stress-1 with the SMACOF algorithm and monotone (isotonic) regression:
+ *
+ *   Kruskal, J. B. "Nonmetric multidimensional scaling: a numerical method."
+ *   Psychometrika 29, no. 2 (1964): 115-129.
+ *
+ *   de Leeuw, J. and Mair, P. "Multidimensional scaling using majorization:
+ *   SMACOF in R." Journal of Statistical Software 31, no. 3 (2009).
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const mds = require('./mds');
+
+const defaultOptions = {
+  ndim: 2,
+  maxIter: 300,
+  tol: 1e-6
+};
+
+/**
+  * List the upper-triangular pairs of a distance matrix, sorted by increasing
+  * dissimilarity.
+  *
+  * @param {array} distances - A symmetric n x n distance matrix
+  * @returns {array} Array of `[i, j]` index pairs with i < j
+  */
+function sortedPairs(distances) {
+  var pairs = [];
+  for (var i=0; i < distances.length; i++) {
+    for (var j=i+1; j < distances.length; j++) {
+      pairs.push([i, j]);
+    }
+  }
+  return _.sortBy(pairs, pair => distances[pair[0]][pair[1]]);
+}
+
+/**
+  * Euclidean distances between coordinates, for each of the given pairs.
+  *
+  * @param {array} coords - n arrays of coordinates
+  * @param {array} pairs  - Array of `[i, j]` index pairs
+  * @returns {array} The distance between each pair
+  */
+function pairDistances(coords, pairs) {
+  return pairs.map(pair => {
+    var a = coords[pair[0]];
+    var b = coords[pair[1]];
+    var sum = 0;
+    for (var k=0; k < a.length; k++) {
+      sum += (a[k] - b[k]) * (a[k] - b[k]);
+    }
+    return Math.sqrt(sum);
+  });
+}
+
+/**
+  * Monotone (isotonic) regression by the pool-adjacent-violators algorithm.
+  *
+  * Find the non-decreasing sequence closest (in the least squares sense) to
+  * `values`. Since the values are ordered by dissimilarity, the result gives
+  * the disparities of non-metric MDS.
+  *
+  * For example,
+  *
+  *     > isotonic([1, 3, 2, 4])
+  *     [ 1, 2.5, 2.5, 4 ]
+  *
+  * @param {array} values - The sequence to fit
+  * @returns {array} The fitted non-decreasing sequence
+  */
+function isotonic(values) {
+  // each block is [sum, count]; adjacent blocks are pooled while their means
+  // are out of order
+  var blocks = [];
+  values.forEach(val => {
+    var block = [val, 1];
+    while (blocks.length > 0) {
+      var prev = blocks[blocks.length - 1];
+      if (prev[0] / prev[1] <= block[0] / block[1]) {
+        break;
+      }
+      blocks.pop();
+      block = [prev[0] + block[0], prev[1] + block[1]];
+    }
+    blocks.push(block);
+  });
+
+  var fitted = [];
+  blocks.forEach(block => {
+    for (var i=0; i < block[1]; i++) {
+      fitted.push(block[0] / block[1]);
+    }
+  });
+  return fitted;
+}
+
+/**
+  * Kruskal's stress-1: sqrt( sum (d - dhat)^2 / sum d^2 ).
+  *
+  * @param {array} dists      - Embedded distances
+  * @param {array} disparities - Fitted disparities
+  * @returns {number} The stress value (0 is a perfect fit)
+  */
+function stress(dists, disparities) {
+  var residual = 0;
+  var total = 0;
+  for (var i=0; i < dists.length; i++) {
+    residual += Math.pow(dists[i] - disparities[i], 2);
+    total += dists[i] * dists[i];
+  }
+  return total > 0 ? Math.sqrt(residual / total) : 0;
+}
+
+/**
+  * Rescale disparities so that their sum of squares is the number of pairs.
+  * This stops the configuration from shrinking towards a single point.
+  *
+  * @param {array} disparities - Fitted disparities (modified in place)
+  */
+function normaliseDisparities(disparities) {
+  var sumSq = disparities.reduce((sum, val) => sum + val * val, 0);
+  var factor = sumSq > 0 ? Math.sqrt(disparities.length / sumSq) : 1;
+  for (var i=0; i < disparities.length; i++) {
+    disparities[i] *= factor;
+  }
+}
+
+/**
+  * One SMACOF update (the Guttman transform) of a configuration.
+  *
+  * @param {array}  coords - The current configuration, n arrays of coordinates
+  * @param {array}  pairs  - Array of `[i, j]` index pairs
+  * @param {object} fit    - `{dists: array, disparities: array}` for each pair
+  * @returns {array} The updated configuration
+  */
+function guttmanTransform(coords, pairs, fit) {
+  var n = coords.length;
+  var ndim = coords[0].length;
+  var updated = coords.map(() => _.times(ndim, _.constant(0)));
+
+  pairs.forEach((pair, p) => {
+    if (fit.dists[p] === 0) {
+      return;
+    }
+    var ratio = fit.disparities[p] / fit.dists[p];
+    var i = pair[0];
+    var j = pair[1];
+    for (var k=0; k < ndim; k++) {
+      var diff = ratio * (coords[i][k] - coords[j][k]);
+      updated[i][k] += diff;
+      updated[j][k] -= diff;
+    }
+  });
+
+  return updated.map(row => row.map(val => val / n));
+}
+
+/**
+  * Fit disparities to the embedded distances of a configuration.
+  *
+  * @param {array} coords - The current configuration
+  * @param {array} pairs  - Pairs sorted by increasing dissimilarity
+  * @returns {object} `{dists, disparities, stress}`
+  */
+function fitConfiguration(coords, pairs) {
+  var dists = pairDistances(coords, pairs);
+  var disparities = isotonic(dists);
+  var fitStress = stress(dists, disparities);
+  normaliseDisparities(disparities);
+  return {dists: dists, disparities: disparities, stress: fitStress};
+}
+
+/**
+  * Get the starting configuration: either the user's, or the classical MDS
+  * solution.
+  *
+  * @param {array}  distances - A symmetric n x n matrix of dissimilarities
+  * @param {object} opts      - Solver options (see `nmds`)
+  * @returns {array} n arrays of coordinates
+  *
+  * @throws Error If the user's configuration has the wrong number of rows, or
+  *               of columns (if `ndim` was also given).
+  */
+function initialConfiguration(distances, opts) {
+  var coords = opts.init || mds.mds(distances, opts.ndim).coords;
+  if (coords.length !== distances.length) {
+    throw new Error('initial configuration must have one row per sample ' +
+                    '(mdsvis.nmds)');
+  }
+  if (_.some(coords, row => row.length !== opts.ndim)) {
+    throw new Error('initial configuration must have ' + opts.ndim +
+                    ' columns, to match ndim (mdsvis.nmds)');
+  }
+  return coords;
+}
+
+/**
+  * Improve a configuration by SMACOF iterations (see `nmds`).
+  *
+  * @param {array}  coords - The starting configuration
+  * @param {array}  pairs  - Pairs sorted by increasing dissimilarity
+  * @param {object} opts   - Solver options, with defaults filled in
+  * @returns {object} `{coords, stress, iterations, converged}`
+  */
+function smacof(coords, pairs, opts) {
+  var fit = fitConfiguration(coords, pairs);
+  var result = {iterations: 0, converged: false};
+
+  while (result.iterations < opts.maxIter && !result.converged) {
+    var updated = guttmanTransform(coords, pairs, fit);
+    var next = fitConfiguration(updated, pairs);
+    result.iterations++;
+    var decrease = fit.stress - next.stress;
+    if (decrease < 0) {
+      // keep the better configuration, which hasn't converged
+      break;
+    }
+    result.converged = decrease <= opts.tol * fit.stress;
+    coords = updated;
+    fit = next;
+    if (opts.onIteration &&
+        opts.onIteration(result.iterations, fit.stress) === false) {
+      break;
+    }
+  }
+
+  return _.extend(result, {coords: coords, stress: fit.stress});
+}
+
+/**
+  * Non-metric (Kruskal) MDS.
+  *
+  * Iteratively improve a configuration until the relative decrease in stress
+  * falls below `tol`, or `maxIter` iterations have been performed. If an
+  * iteration increases the stress (e.g. through rounding error), the solver
+  * stops with the previous configuration, without having converged.
+  *
+  * @param {array}  distances - A symmetric n x n matrix of dissimilarities
+  * @param {object} opts      - Solver options:
+  *                               `ndim`    - number of dimensions (default 2,
+  *                                           or the number of columns of
+  *                                           `init`)
+  *                               `init`    - initial configuration (default:
+  *                                           classical MDS coordinates)
+  *                               `maxIter` - iteration limit (default 300)
+  *                               `tol`     - convergence tolerance (default
+  *                                           1e-6)
+  *                               `onIteration` - called after each
+  *                                 iteration as `onIteration(iteration,
+  *                                 stress)`; return `false` to stop early
+  *
+  * @returns {object} An object with properties
+  *                     `coords`     - n arrays of `ndim` coordinates
+  *                     `stress`     - final Kruskal stress-1
+  *                     `iterations` - number of iterations performed
+  *                     `converged`  - did the solver converge within maxIter?
+  *
+  * @throws Error If the distance matrix or initial configuration is invalid,
+  *               or `init` doesn't have `ndim` columns.
+  */
+function nmds(distances, opts) {
+  mds.checkDistances(distances);
+  opts = opts || {};
+  // ndim defaults to the number of columns of the initial configuration
+  var init = opts.init ? {ndim: opts.init[0] && opts.init[0].length} : {};
+  opts = _.extend({}, defaultOptions, init, opts);
+
+  var coords = initialConfiguration(distances, opts);
+  return smacof(coords, sortedPairs(distances), opts);
+}
+
+// exports
+module.exports.nmds = nmds;
+module.exports.isotonic = isotonic;
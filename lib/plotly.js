@@ -0,0 +1,27 @@
+/*
+ * Custom Plotly.js bundle for Multidimensional Scaling (MDS) visualisation.
+ *
+ * We register every trace type we use, and only those, to keep the
+ * browserified bundle small. Plotly's core already includes scatter, but it
+ * is listed too, so that the list is complete: scatter (the 2D plot, arrows
+ * and overlays), scatter3d (the 3D plot), bar (the scree plot) and histogram2d
+ * (the Shepard diagram). All modules should require Plotly from here, so that
+ * the registered trace types are shared.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+const Plotly = require('plotly.js/lib/core');
+
+Plotly.register([
+  require('plotly.js/lib/scatter'),
+  require('plotly.js/lib/scatter3d'),
+  require('plotly.js/lib/bar'),
+  require('plotly.js/lib/histogram2d')
+]);
+
+module.exports = Plotly;
@@ -0,0 +1,177 @@
+/*
+ * Procrustes analysis: align one MDS configuration to another.
+ *
+ * MDS coordinates are only determined up to translation, rotation and
+ * reflection (and, for non-metric MDS, scale), so configurations computed
+ * from different normalisations or versions of a dataset can look different
+ * even when they agree. Procrustes analysis finds the similarity transform
+ * bringing one configuration as close as possible to the other, in the least
+ * squares sense:
+ *
+ *   Gower, J. C. "Generalized Procrustes analysis." Psychometrika 40, no. 1
+ *   (1975): 33-51.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// internal dependencies
+const linalg = require('./linalg');
+
+/**
+  * Check that two configurations can be aligned.
+  *
+  * @param {array} target - n arrays of d coordinates
+  * @param {array} source - n arrays of d coordinates
+  *
+  * @throws Error If either configuration is empty, or they have different
+  *               numbers of points or dimensions.
+  */
+function checkConfigurations(target, source) {
+  if (!target || !source || target.length === 0 || source.length === 0) {
+    throw new Error('no coordinates supplied (mdsvis.procrustes)');
+  }
+  if (target.length !== source.length) {
+    throw new Error('configurations must have the same number of points ' +
+                    '(mdsvis.procrustes)');
+  }
+  var ndim = target[0].length;
+  var rows = target.concat(source);
+  if (_.some(rows, row => row.length !== ndim)) {
+    throw new Error('configurations must have the same number of ' +
+                    'dimensions (mdsvis.procrustes)');
+  }
+}
+
+/**
+  * Centre a configuration at the origin.
+  *
+  * @param {array} coords - n arrays of d coordinates
+  * @returns {object} `{centred, mean}`: the centred coordinates, and the mean
+  *                   that was subtracted
+  */
+function centre(coords) {
+  var mean = _.unzip(coords).map(col => {
+    return col.reduce((sum, val) => sum + val, 0) / coords.length;
+  });
+  var centred = coords.map(row => row.map((val, k) => val - mean[k]));
+  return {centred: centred, mean: mean};
+}
+
+/**
+  * Sum of squares of the elements of a matrix.
+  *
+  * @param {array} matrix - The matrix
+  * @returns {number} The sum of squares
+  */
+function sumOfSquares(matrix) {
+  return matrix.reduce((sum, row) => sum + linalg.dot(row, row), 0);
+}
+
+/**
+  * Multiply a row vector by a matrix.
+  *
+  * @param {array} vec    - A vector of length d
+  * @param {array} matrix - A d x d matrix
+  * @returns {array} The product `vec * matrix`
+  */
+function rowTimes(vec, matrix) {
+  return matrix[0].map((val, j) => {
+    return vec.reduce((sum, x, k) => sum + x * matrix[k][j], 0);
+  });
+}
+
+/**
+  * Find the rotation (or reflection), and optionally the scale, best aligning
+  * one centred configuration to another.
+  *
+  * @param {array} x       - The centred target configuration
+  * @param {array} y       - The centred source configuration
+  * @param {bool}  scaling - Allow uniform scaling?
+  * @returns {object} `{rotation, scale}`
+  */
+function fitRotation(x, y, scaling) {
+  // the rotation comes from the SVD of the cross-product matrix Y'X = U S V'
+  var cross = _.unzip(y).map(ycol => {
+    return _.unzip(x).map(xcol => linalg.dot(ycol, xcol));
+  });
+  var svd = linalg.svd(cross);
+  var rotation = svd.u.map(urow => svd.v.map(vrow => linalg.dot(urow, vrow)));
+
+  var trace = svd.s.reduce((sum, val) => sum + val, 0);
+  var sourceSS = sumOfSquares(y);
+  var scale = scaling && sourceSS > 0 ? trace / sourceSS : 1;
+  return {rotation: rotation, scale: scale};
+}
+
+/**
+  * Align a configuration (`source`) to another (`target`) by translation,
+  * rotation or reflection, and optionally uniform scaling.
+  *
+  * The aligned coordinates are `scale * source * rotation + translation`,
+  * with the rotation (an orthogonal matrix, so possibly a reflection) and scale
+  * chosen to minimise the sum of squared distances between matching points.
+  * The Procrustes statistic is this sum of squares, relative to the sum of
+  * squares of the centred target: 0 means the configurations match exactly.
+  * With scaling, it is at most 1.
+  *
+  * For example, aligning a configuration to its own mirror image:
+  *
+  *     > procrustes([[0,0],[1,0],[0,2]], [[0,0],[-1,0],[0,2]]).statistic
+  *     0   (approx.)
+  *
+  * @param {array}  target - n arrays of d coordinates, to align to
+  * @param {array}  source - n arrays of d coordinates, in the same order of
+  *                          points, to be aligned
+  * @param {object} opts   - Options:
+  *                            `scale` - allow uniform scaling of the source
+  *                                      (default true)
+  *
+  * @returns {object} An object with properties
+  *                     `coords`      - the aligned source coordinates
+  *                     `rotation`    - the d x d orthogonal matrix
+  *                     `scale`       - the scaling factor (1 if not scaling)
+  *                     `translation` - the translation vector
+  *                     `statistic`   - the Procrustes statistic
+  *
+  * @throws Error If the configurations have different shapes.
+  */
+function procrustes(target, source, opts) {
+  checkConfigurations(target, source);
+  opts = _.extend({scale: true}, opts);
+
+  var x = centre(target);
+  var y = centre(source);
+  var fit = fitRotation(x.centred, y.centred, opts.scale);
+  var rotation = fit.rotation;
+  var scale = fit.scale;
+
+  var shift = rowTimes(y.mean, rotation).map(val => val * scale);
+  var translation = x.mean.map((val, k) => val - shift[k]);
+  var coords = source.map(row => {
+    return rowTimes(row, rotation).map((val, k) => {
+      return scale * val + translation[k];
+    });
+  });
+
+  var residuals = coords.map((row, i) => {
+    return row.map((val, k) => val - target[i][k]);
+  });
+  var targetSS = sumOfSquares(x.centred);
+  return {
+    coords: coords,
+    rotation: rotation,
+    scale: scale,
+    translation: translation,
+    statistic: targetSS > 0 ? sumOfSquares(residuals) / targetSS : 0
+  };
+}
+
+// exports
+module.exports.procrustes = procrustes;
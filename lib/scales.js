@@ -0,0 +1,114 @@
+/*
+ * Helpers for colouring data points by numeric metadata values.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+/**
+  * Is a value missing (null or undefined)?
+  */
+function isMissing(val) {
+  return val === null || val === undefined;
+}
+
+/**
+  * Check whether an array of metadata values is numeric.
+  *
+  * Values are numeric if every value is a finite number or missing (null or
+  * undefined), and at least one value is present. Strings are never numeric,
+  * even if they look like numbers (e.g. '3'), so they are treated as
+  * categories.
+  *
+  * @param {array} values - The metadata values
+  * @returns {bool} Are the values numeric?
+  */
+function isNumeric(values) {
+  var present = _.reject(values, isMissing);
+  return present.length > 0 &&
+      _.every(present, val => typeof val === 'number' && isFinite(val));
+}
+
+/**
+  * Get the minimum and maximum of the non-missing values in an array.
+  *
+  * @param {array} values - An array of numbers, possibly with missing values
+  * @returns {array} `[min, max]`
+  */
+function extent(values) {
+  var present = _.reject(values, isMissing);
+  return [_.min(present), _.max(present)];
+}
+
+/**
+  * Compute the break points dividing numeric values into (up to) `n` bins
+  * containing roughly equal numbers of values.
+  *
+  * Duplicate break points are dropped, so heavily tied data may give fewer
+  * than `n` bins. For example,
+  *
+  *     > quantileBreaks([1, 2, 3, 4, 5, 6, 7, 8, 9], 3)
+  *     [ 1, 3.67, 6.33, 9 ]   (approx.)
+  *
+  * @param {array}  values - An array of numbers, possibly with missing values
+  * @param {number} n      - The number of bins
+  * @returns {array} The sorted break points, from the minimum to the maximum
+  */
+function quantileBreaks(values, n) {
+  var sorted = _.sortBy(_.reject(values, isMissing));
+  var breaks = _.range(n + 1).map(i => {
+    // linear interpolation between order statistics
+    var pos = (sorted.length - 1) * i / n;
+    var lo = Math.floor(pos);
+    var hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  });
+  return _.uniq(breaks, true);
+}
+
+/**
+  * Get the label of the bin containing a value.
+  *
+  * Bins are closed on the left and open on the right, except for the last bin
+  * which is closed on both sides. Missing values are labelled 'NA'.
+  *
+  * @param {number} val    - The value to bin
+  * @param {array}  breaks - Break points, as returned by `quantileBreaks`
+  * @returns {string} The bin label, e.g. '[2, 3.5)'
+  */
+function binLabel(val, breaks) {
+  if (isMissing(val)) {
+    return 'NA';
+  }
+
+  var last = Math.max(breaks.length - 2, 0);
+  var i = _.sortedIndex(breaks, val);
+  // sortedIndex gives the first break >= val; we want the bin to its left
+  i = breaks[i] === val ? i : i - 1;
+  i = Math.min(Math.max(i, 0), last);
+
+  var hi = breaks[Math.min(i + 1, breaks.length - 1)];
+  var close = i === last ? ']' : ')';
+  return '[' + formatNumber(breaks[i]) + ', ' + formatNumber(hi) + close;
+}
+
+/**
+  * Format a number for display in a label, to three significant figures.
+  */
+function formatNumber(val) {
+  return String(Number(val.toPrecision(3)));
+}
+
+// exports
+module.exports.isMissing = isMissing;
+module.exports.isNumeric = isNumeric;
+module.exports.extent = extent;
+module.exports.quantileBreaks = quantileBreaks;
+module.exports.binLabel = binLabel;
+module.exports.formatNumber = formatNumber;
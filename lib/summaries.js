@@ -0,0 +1,152 @@
+/*
+ * Summaries of groups of points in a plane: centroids, convex hulls and
+ * confidence ellipses.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+
+// default number of segments approximating an ellipse
+const ellipseSegments = 60;
+
+/**
+  * Get the centroid (mean position) of a set of points.
+  *
+  * @param {array} points - Arrays of coordinates, all of the same length
+  * @returns {array} The mean of each coordinate
+  */
+function centroid(points) {
+  return _.unzip(points).map((col) => {
+    return col.reduce((sum, val) => sum + val, 0) / points.length;
+  });
+}
+
+/**
+  * The z component of the cross product of the vectors from `o` to `a` and
+  * from `o` to `b`: positive if o, a, b turn counter-clockwise.
+  */
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+/**
+  * Add a point to one half of a convex hull, first removing the points which
+  * no longer make a counter-clockwise turn.
+  *
+  * @param {array} chain - The points of the half hull so far (modified)
+  * @param {array} point - The point to add
+  */
+function extendChain(chain, point) {
+  while (chain.length >= 2 &&
+         cross(chain[chain.length-2], chain[chain.length-1], point) <= 0) {
+    chain.pop();
+  }
+  chain.push(point);
+}
+
+/**
+  * Compute the convex hull of a set of points in the plane, by Andrew's
+  * monotone chain algorithm.
+  *
+  * Points on the edges of the hull (and duplicate points) are left out. For
+  * example,
+  *
+  *     > convexHull([[0,0],[2,0],[1,1],[2,2],[0,2],[1,0]])
+  *     [ [0,0], [2,0], [2,2], [0,2] ]
+  *
+  * @param {array} points - Arrays of x and y coordinates
+  * @returns {array} The vertices of the hull, counter-clockwise from the
+  *                  lowest of the leftmost points. Fewer than three points (or
+  *                  collinear points) give their distinct extreme points.
+  */
+function convexHull(points) {
+  var sorted = _.sortBy(_.sortBy(points, pt => pt[1]), pt => pt[0]);
+  sorted = _.uniq(sorted, true, pt => pt[0] + ',' + pt[1]);
+  var lower = [];
+  var upper = [];
+  sorted.forEach(pt => extendChain(lower, pt));
+  sorted.slice().reverse().forEach(pt => extendChain(upper, pt));
+
+  // the last point of each chain is the first point of the other
+  var hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+  return hull.length === 0 ? sorted.slice(0, 1) : hull;
+}
+
+/**
+  * Compute the sample covariance matrix of a set of points in the plane.
+  *
+  * @param {array} points - Arrays of x and y coordinates
+  * @param {array} mean   - The centroid of the points
+  * @returns {array} `[var(x), cov(x, y), var(y)]`
+  */
+function covariance(points, mean) {
+  var cov = [0, 0, 0];
+  points.forEach((pt) => {
+    var dx = pt[0] - mean[0];
+    var dy = pt[1] - mean[1];
+    cov[0] += dx * dx;
+    cov[1] += dx * dy;
+    cov[2] += dy * dy;
+  });
+  return cov.map(val => val / (points.length - 1));
+}
+
+/**
+  * Compute a confidence ellipse of a set of points in the plane: the contour
+  * of the bivariate normal distribution with the points' mean and (sample)
+  * covariance containing the proportion `level` of the distribution.
+  *
+  * The ellipse is approximated by a closed polygon, whose first vertex is
+  * repeated at the end so that it can be drawn as a line.
+  *
+  * @param {array}  points   - At least three arrays of x and y coordinates
+  * @param {number} level    - The proportion contained, between 0 and 1 (e.g.
+  *                            0.95)
+  * @param {number} segments - The number of sides of the polygon (default 60)
+  * @returns {array} The vertices of the polygon
+  *
+  * @throws Error If there are fewer than three points, or the level is not
+  *               between 0 and 1.
+  */
+function confidenceEllipse(points, level, segments) {
+  if (points.length < 3) {
+    throw new Error('need at least 3 points (mdsvis.confidenceEllipse)');
+  }
+  if (!(level > 0 && level < 1)) {
+    throw new Error('level must be between 0 and 1 ' +
+                    '(mdsvis.confidenceEllipse)');
+  }
+  segments = segments || ellipseSegments;
+
+  var mean = centroid(points);
+  var cov = covariance(points, mean);
+
+  // eigen-decomposition of the 2 x 2 covariance matrix gives the axes
+  var half = (cov[0] - cov[2]) / 2;
+  var root = Math.sqrt(half * half + cov[1] * cov[1]);
+  var mid = (cov[0] + cov[2]) / 2;
+  var angle = Math.atan2(cov[1], half) / 2;
+  // the radius is the square root of the chi-squared (2 d.f.) quantile
+  var radius = Math.sqrt(-2 * Math.log(1 - level));
+  var major = radius * Math.sqrt(mid + root);
+  var minor = radius * Math.sqrt(Math.max(mid - root, 0));
+
+  return _.range(segments + 1).map((i) => {
+    var t = 2 * Math.PI * (i % segments) / segments;
+    var u = major * Math.cos(t);
+    var v = minor * Math.sin(t);
+    return [mean[0] + u * Math.cos(angle) - v * Math.sin(angle),
+            mean[1] + u * Math.sin(angle) + v * Math.cos(angle)];
+  });
+}
+
+// exports
+module.exports.centroid = centroid;
+module.exports.convexHull = convexHull;
+module.exports.confidenceEllipse = confidenceEllipse;
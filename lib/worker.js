@@ -0,0 +1,35 @@
+/*
+ * Web Worker for off-main-thread MDS computation.
+ *
+ * Loaded with webworkify (see async.js). The worker receives one message,
+ * `{input, opts}`, and replies with any number of progress messages followed
+ * by exactly one result or error message:
+ *
+ *     {type: 'progress', progress: {...}}
+ *     {type: 'result', result: {...}}
+ *     {type: 'error', message: '...'}
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// internal dependencies
+const compute = require('./compute');
+
+module.exports = function(self) {
+  self.addEventListener('message', (event) => {
+    var onProgress = (progress) => {
+      self.postMessage({type: 'progress', progress: progress});
+    };
+
+    try {
+      var result = compute.run(event.data.input, event.data.opts, onProgress);
+      self.postMessage({type: 'result', result: result});
+    } catch (err) {
+      self.postMessage({type: 'error', message: err.message});
+    }
+  });
+};
@@ -0,0 +1,91 @@
+/*
+ * Tests of MDS computation, synchronously (compute.js) and behind a Promise
+ * (async.js, which falls back to running on this thread under Node).
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const compute = require('../lib/compute');
+const computeAsync = require('../lib/async').computeAsync;
+const mds = require('../lib/mds');
+const nmds = require('../lib/nmds');
+const distance = require('../lib/distance');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+const table = [[0, 0, 0], [1, 0, 2], [0, 3, 1], [2, 2, -1], [-1, 1, 3],
+               [3, -1, 1], [1, 1, 1]];
+const distances = distance.distanceMatrix(table);
+
+test('compute.run matches mds and nmds', () => {
+  var classical = compute.run(table, {distance: {}, ndim: 2});
+  approxEqual(classical.distances, distances);
+  approxEqual(classical.coords, mds.mds(distances, 2).coords);
+
+  var opts = {method: 'nonmetric', maxIter: 20};
+  approxEqual(compute.run(distances, opts).coords,
+              nmds.nmds(distances, opts).coords);
+});
+
+test('compute.run reports the progress of each stage', () => {
+  var progress = [];
+  compute.run(table, {distance: {}, method: 'nonmetric', maxIter: 3},
+              p => progress.push(p));
+  assert.deepStrictEqual(progress.slice(0, 2),
+                         [{stage: 'distances'}, {stage: 'mds'}]);
+  assert.deepStrictEqual(progress.slice(2).map((p) => {
+    return [p.stage, p.iteration, p.maxIter, typeof p.stress];
+  }), [1, 2, 3].map(i => ['mds', i, 3, 'number']));
+});
+
+test('compute.run rejects an unknown method', () => {
+  assert.throws(() => compute.run(distances, {method: 'umap'}), /unknown/);
+});
+
+test('computeAsync resolves to the mds result under Node', () => {
+  return computeAsync(distances, {ndim: 2}).then((result) => {
+    approxEqual(result.coords, mds.mds(distances, 2).coords);
+  });
+});
+
+test('computeAsync passes progress to onProgress', () => {
+  var progress = [];
+  var opts = {method: 'nonmetric', maxIter: 4, onProgress: p => {
+    progress.push(p);
+  }};
+  return computeAsync(distances, opts).then((result) => {
+    assert.strictEqual(result.iterations, 4);
+    var last = progress[progress.length - 1];
+    assert.deepStrictEqual([last.stage, last.iteration, last.maxIter],
+                           ['mds', 4, 4]);
+  });
+});
+
+test('computeAsync stops nmds when onProgress returns false', () => {
+  var opts = {method: 'nonmetric', maxIter: 100, onProgress: (p) => {
+    return p.iteration === undefined || p.iteration < 2;
+  }};
+  return computeAsync(distances, opts).then((result) => {
+    assert.strictEqual(result.iterations, 2);
+    assert.strictEqual(result.converged, false);
+  });
+});
+
+test('computeAsync cancelled before starting never runs', () => {
+  var called = false;
+  var job = computeAsync(distances, {onProgress: () => {
+    called = true;
+  }});
+  job.cancel();
+  return job.then(() => assert.fail('resolved'), (err) => {
+    assert.ok(/cancelled/.test(err.message));
+    // give the cancelled task a chance to run, if it (wrongly) would
+    return new Promise(resolve => setTimeout(resolve, 10));
+  }).then(() => assert.strictEqual(called, false));
+});
@@ -0,0 +1,72 @@
+/*
+ * Tests of Shepard diagrams and per-sample stress.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const diagnostics = require('../lib/diagnostics');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+const points = [[0, 0], [1, 0], [0, 2], [3, 1], [-1, 4]];
+
+// Euclidean distances between points, multiplied by `factor`
+function distancesOf(coords, factor) {
+  return coords.map(a => coords.map((b) => {
+    return factor * Math.sqrt(a.reduce((sum, val, k) => {
+      return sum + (val - b[k]) * (val - b[k]);
+    }, 0));
+  }));
+}
+
+test('shepard has a pair for each of the n(n-1)/2 pairs of points', () => {
+  var diagram = diagnostics.shepard(distancesOf(points, 1), points);
+  assert.strictEqual(diagram.pairs.length, 10);
+  assert.strictEqual(diagram.original.length, 10);
+  assert.strictEqual(diagram.embedded.length, 10);
+  assert.deepStrictEqual(diagram.pairs.slice(0, 5),
+                         [[0, 1], [0, 2], [0, 3], [0, 4], [1, 2]]);
+  assert.ok(diagram.pairs.every(pair => pair[0] < pair[1]));
+});
+
+test('an exact embedding has zero stress, up to scale', () => {
+  var diagram = diagnostics.shepard(distancesOf(points, 2), points);
+  approxEqual(diagram.scale, 2);
+  approxEqual(diagram.stress, 0);
+  approxEqual(diagnostics.sampleStress(diagram, points.length),
+              [0, 0, 0, 0, 0]);
+});
+
+test('shepard and sampleStress of a hand-computed fit', () => {
+  // embedded distances 1, 3, 2 against original distances 1, 3, 1: the least
+  // squares scale is 12/14, leaving squared residuals 1/49, 9/49 and 25/49
+  var coords = [[0], [1], [3]];
+  var distances = [[0, 1, 3], [1, 0, 1], [3, 1, 0]];
+  var diagram = diagnostics.shepard(distances, coords);
+  approxEqual(diagram.embedded, [1, 3, 2]);
+  approxEqual(diagram.scale, 6 / 7);
+  approxEqual(diagram.stress, Math.sqrt(5 / 77));
+  approxEqual(diagnostics.sampleStress(diagram, 3),
+              [1 / 7, 13 / 35, 17 / 35]);
+});
+
+test('shepard compares only the first ndim dimensions', () => {
+  var coords = points.map(pt => pt.concat([pt[0] * pt[1]]));
+  var diagram = diagnostics.shepard(distancesOf(points, 1), coords, 2);
+  approxEqual(diagram.stress, 0);
+  assert.ok(diagnostics.shepard(distancesOf(points, 1), coords).stress > 0.01);
+});
+
+test('shepard rejects mismatched distances and invalid ndim', () => {
+  var distances = distancesOf(points, 1);
+  assert.throws(() => diagnostics.shepard(distances.slice(1), points),
+                /5 x 5/);
+  assert.throws(() => diagnostics.shepard(distances, points, 3), /ndim/);
+  assert.throws(() => diagnostics.shepard(distances, points, 0), /ndim/);
+});
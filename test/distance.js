@@ -0,0 +1,105 @@
+/*
+ * Tests of the distance matrices.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const distance = require('../lib/distance');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+test('euclidean distance is the default', () => {
+  var table = [[0, 0], [3, 4], [1, 1]];
+  approxEqual(distance.distanceMatrix(table), [
+    [0, 5, Math.SQRT2],
+    [5, 0, Math.sqrt(13)],
+    [Math.SQRT2, Math.sqrt(13), 0]
+  ]);
+});
+
+test('manhattan distance sums absolute differences', () => {
+  var table = [[0, 0], [3, 4], [1, 1]];
+  approxEqual(distance.distanceMatrix(table, {method: 'manhattan'}), [
+    [0, 7, 2],
+    [7, 0, 5],
+    [2, 5, 0]
+  ]);
+});
+
+test('cosine distance is 1 - cosine similarity, and 0 for zero rows', () => {
+  var table = [[1, 0], [0, 2], [1, 1], [0, 0]];
+  var distances = distance.distanceMatrix(table, {method: 'cosine'});
+  approxEqual(distances[0][1], 1);
+  approxEqual(distances[0][2], 1 - Math.SQRT1_2);
+  approxEqual(distances[1][2], 1 - Math.SQRT1_2);
+  approxEqual(distances[3], [0, 0, 0, 0]);
+});
+
+test('logfc distance is the root-mean-square of leading differences', () => {
+  // squared differences 1, 9, 4 and 0
+  var table = [[0, 0, 0, 0], [1, -3, 2, 0]];
+  var logfc = opts => distance.distanceMatrix(table, opts)[0][1];
+  approxEqual(logfc({method: 'logfc'}), Math.sqrt(14 / 4));
+  approxEqual(logfc({method: 'logfc', leading: 2}), Math.sqrt(13 / 2));
+  approxEqual(logfc({method: 'logfc', leading: 1}), 3);
+});
+
+test('top keeps only the most variable features', () => {
+  // feature variances 1, 0 and 100
+  var table = [[1, 5, 0], [2, 5, 10], [3, 5, 20]];
+  approxEqual(distance.distanceMatrix(table, {top: 1})[0], [0, 10, 20]);
+  approxEqual(distance.distanceMatrix(table, {top: 2})[0],
+              [0, Math.sqrt(101), Math.sqrt(404)]);
+});
+
+test('scale standardises rows or columns before computing distances', () => {
+  // rows standardise to [-1, 0, 1], [-1, 0, 1] and [1, 0, -1]
+  var table = [[1, 2, 3], [10, 20, 30], [3, 2, 1]];
+  approxEqual(distance.distanceMatrix(table, {scale: 'row'})[0],
+              [0, 0, Math.sqrt(8)]);
+  // columns standardise to [-1, 0, 1]
+  var columns = [[0, 100], [1, 200], [2, 300]];
+  approxEqual(distance.distanceMatrix(columns, {scale: 'column'})[0],
+              [0, Math.SQRT2, Math.sqrt(8)]);
+  assert.throws(() => distance.distanceMatrix(table, {scale: 'both'}),
+                /scale/);
+});
+
+test('unknown methods and invalid tables are rejected', () => {
+  assert.throws(() => distance.distanceMatrix([[1], [2]], {method: 'x'}),
+                /unknown distance method/);
+  assert.throws(() => distance.distanceMatrix([]), /no feature table/);
+  assert.throws(() => distance.distanceMatrix([[1, 2], [3]]),
+                /same length/);
+});
+
+test('pearson distance is 1 - correlation', () => {
+  // correlation of [1, 2, 3] and [1, 3, 2] is 0.5
+  var table = [[1, 2, 3], [1, 3, 2], [3, 2, 1], [2, 4, 6]];
+  approxEqual(distance.distanceMatrix(table, {method: 'pearson'}), [
+    [0, 0.5, 2, 0],
+    [0.5, 0, 1.5, 0.5],
+    [2, 1.5, 0, 2],
+    [0, 0.5, 2, 0]
+  ]);
+});
+
+test('spearman distance is 1 - rank correlation, with tied ranks', () => {
+  var table = [[1, 10, 100], [3, 2, 1], [5, 5, 7]];
+  var distances = distance.distanceMatrix(table, {method: 'spearman'});
+  approxEqual(distances[0][1], 2);
+  // ranks [1.5, 1.5, 3] against [1, 2, 3]: correlation sqrt(3) / 2
+  approxEqual(distances[0][2], 1 - Math.sqrt(3) / 2);
+});
+
+test('correlation distances of constant rows are 0', () => {
+  var table = [[1, 1, 1], [1, 2, 3]];
+  approxEqual(distance.distanceMatrix(table, {method: 'pearson'}),
+              [[0, 0], [0, 0]]);
+});
@@ -0,0 +1,73 @@
+/*
+ * A minimal test runner and numeric assertions.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+const assert = require('assert');
+
+// registered tests, as [name, function] pairs
+const tests = [];
+
+/**
+  * Register a test.
+  *
+  * @param {string}   name - A description of the test
+  * @param {function} fn   - The test, which throws to fail; asynchronous tests
+  *                          return a Promise, which rejects to fail
+  */
+function test(name, fn) {
+  tests.push([name, fn]);
+}
+
+/**
+  * Run the registered tests one after another, reporting each failure.
+  *
+  * @returns {Promise} A Promise of whether every test passed
+  */
+function run() {
+  var failures = 0;
+  var done = tests.reduce((previous, pair) => {
+    return previous.then(() => pair[1]()).then(_.noop, (err) => {
+      failures++;
+      console.error('FAIL ' + pair[0] + '\n  ' + err.message);
+    });
+  }, Promise.resolve());
+
+  return done.then(() => {
+    console.log((tests.length - failures) + '/' + tests.length +
+                ' tests passed');
+    return failures === 0;
+  });
+}
+
+/**
+  * Assert that two numbers, or (nested) arrays of numbers, are equal to
+  * within a tolerance.
+  *
+  * @param {number|array} actual   - The computed value
+  * @param {number|array} expected - The expected value
+  * @param {number}       tol      - The largest allowed difference (default
+  *                                  1e-8)
+  */
+function approxEqual(actual, expected, tol) {
+  tol = tol === undefined ? 1e-8 : tol;
+  if (Array.isArray(expected)) {
+    assert.strictEqual(actual.length, expected.length, 'lengths differ');
+    expected.forEach((val, i) => approxEqual(actual[i], val, tol));
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= tol,
+            actual + ' is not within ' + tol + ' of ' + expected);
+}
+
+// exports
+module.exports.test = test;
+module.exports.run = run;
+module.exports.approxEqual = approxEqual;
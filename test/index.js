@@ -0,0 +1,31 @@
+/*
+ * Run every test module: `npm test`.
+ *
+ * Tests are plain functions registered with `test` (see helpers.js), which
+ * throw (e.g. by a failed assertion) to fail.
+ *
+ * Copyright (c) 2016 Yoshua Wakeham
+ * Licensed under the MIT license.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+const helpers = require('./helpers');
+
+require('./linalg');
+require('./procrustes');
+require('./mds');
+require('./nmds');
+require('./compute');
+require('./diagnostics');
+require('./neighbors');
+require('./link');
+require('./distance');
+require('./loaders');
+require('./scales');
+require('./summaries');
+
+helpers.run().then((passed) => {
+  process.exitCode = passed ? 0 : 1;
+});
@@ -0,0 +1,108 @@
+/*
+ * Tests of the linear algebra helpers.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+const assert = require('assert');
+
+// internal dependencies
+const linalg = require('../lib/linalg');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+/**
+  * A symmetric matrix with known eigenvalues: `Q diag(values) Q'`, for an
+  * orthogonal (Householder) matrix Q.
+  */
+function knownMatrix(values) {
+  var n = values.length;
+  var u = _.range(n).map(i => 1 / Math.sqrt(n) * (i % 2 ? -1 : 1));
+  var q = _.range(n).map(i => _.range(n).map((j) => {
+    return (i === j ? 1 : 0) - 2 * u[i] * u[j];
+  }));
+  return q.map(qi => q.map((qj) => {
+    return values.reduce((sum, val, k) => sum + qi[k] * val * qj[k], 0);
+  }));
+}
+
+/**
+  * The largest absolute residual `A v - value * v` of a set of eigenpairs.
+  */
+function residual(matrix, eigen) {
+  return _.max(eigen.vectors.map((vec, j) => {
+    var product = linalg.multiply(matrix, vec);
+    return _.max(product.map((val, i) => {
+      return Math.abs(val - eigen.values[j] * vec[i]);
+    }));
+  }));
+}
+
+test('symmetricEigen recovers a known decomposition', () => {
+  var values = [5, -2, 3, 0.5, 1, 4];
+  var matrix = knownMatrix(values);
+  var eigen = linalg.symmetricEigen(matrix, 6);
+  approxEqual(eigen.values, [5, 4, 3, 1, 0.5, -2]);
+  approxEqual(residual(matrix, eigen), 0);
+  eigen.vectors.forEach(vec => approxEqual(linalg.dot(vec, vec), 1));
+});
+
+test('symmetricEigen separates close and repeated eigenvalues', () => {
+  var values = [3, 3, 3 - 1e-9, 1, 1, 0];
+  var matrix = knownMatrix(values);
+  var eigen = linalg.symmetricEigen(matrix, 3);
+  approxEqual(eigen.values, [3, 3, 3 - 1e-9], 1e-12);
+  approxEqual(residual(matrix, eigen), 0);
+  approxEqual(linalg.dot(eigen.vectors[0], eigen.vectors[1]), 0);
+});
+
+test('symmetricEigen handles 1 x 1 and zero matrices', () => {
+  approxEqual(linalg.symmetricEigen([[2]], 1).values, [2]);
+  approxEqual(linalg.symmetricEigen([[0, 0], [0, 0]], 2).values, [0, 0]);
+});
+
+test('symmetricEigen throws if it cannot converge', () => {
+  var matrix = knownMatrix([3, 2, 1]);
+  matrix[0][1] = matrix[1][0] = 10;
+  assert.throws(() => linalg.symmetricEigen(matrix, 1, {maxIter: 0}),
+                /did not converge/);
+});
+
+/**
+  * Multiply out an SVD, `U diag(S) V'`.
+  */
+function reconstruct(result) {
+  return result.u.map(row => result.v.map((vrow) => {
+    return row.reduce((sum, val, k) => sum + val * result.s[k] * vrow[k], 0);
+  }));
+}
+
+/**
+  * The products of each pair of columns of a matrix: the identity matrix if
+  * the columns are orthonormal.
+  */
+function columnProducts(matrix) {
+  var columns = _.unzip(matrix);
+  return columns.map(a => columns.map(b => linalg.dot(a, b)));
+}
+
+test('svd reconstructs the matrix from orthonormal factors', () => {
+  var matrix = [[2, -1, 0], [1, 3, 1], [0, 1, 4], [1, 0, -2]];
+  var result = linalg.svd(matrix);
+  approxEqual(reconstruct(result), matrix);
+  approxEqual(columnProducts(result.u), knownMatrix([1, 1, 1]));
+  approxEqual(columnProducts(result.v), knownMatrix([1, 1, 1]));
+  assert.ok(result.s.every(val => val >= 0));
+});
+
+test('svd completes the basis of a rank deficient matrix', () => {
+  var matrix = [[1, 2], [2, 4], [3, 6]];
+  var result = linalg.svd(matrix);
+  approxEqual(reconstruct(result), matrix);
+  approxEqual(_.sortBy(result.s), [0, Math.sqrt(70)]);
+  approxEqual(columnProducts(result.u), [[1, 0], [0, 1]]);
+});
@@ -0,0 +1,90 @@
+/*
+ * Tests of linked brushing and highlighting, with stub visualisations.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+const EventEmitter = require('events');
+
+// internal dependencies
+const Link = require('../lib/link').Link;
+const helpers = require('./helpers');
+const test = helpers.test;
+
+/**
+  * A stub of an MDSVis instance whose data points have IDs under `idKey`,
+  * recording the IDs it is asked to highlight and select. Like MDSVis,
+  * selecting IDs emits 'selectionchange'.
+  */
+function stub(idKey) {
+  var emitter = new EventEmitter();
+  var vis = {
+    highlighted: [],
+    selected: [],
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.removeListener(event, listener),
+    emit: (event, records) => emitter.emit(event, records),
+    getSampleId: record => record[idKey],
+    highlight: ids => vis.highlighted.push(ids),
+    unhighlight: () => vis.highlighted.push(null),
+    selectIds: (ids) => {
+      vis.selected.push(ids);
+      emitter.emit('selectionchange', ids.map(id => ({[idKey]: id})));
+    }
+  };
+  return vis;
+}
+
+test('hovering highlights the same IDs in every other instance once', () => {
+  var a = stub('id'), b = stub('sample'), c = stub('name');
+  new Link([a, b, c]);
+  a.emit('hover', [{id: 's1'}, {id: 's3'}]);
+  assert.deepStrictEqual(a.highlighted, []);
+  assert.deepStrictEqual(b.highlighted, [['s1', 's3']]);
+  assert.deepStrictEqual(c.highlighted, [['s1', 's3']]);
+
+  b.emit('unhover');
+  assert.deepStrictEqual(a.highlighted, [null]);
+  assert.deepStrictEqual(b.highlighted, [['s1', 's3']]);
+  assert.deepStrictEqual(c.highlighted, [['s1', 's3'], null]);
+});
+
+test('selections reach every other instance once, without echoes', () => {
+  var a = stub('id'), b = stub('sample'), c = stub('name');
+  new Link([a, b, c]);
+  c.emit('selectionchange', [{name: 's2'}]);
+  assert.deepStrictEqual(a.selected, [['s2']]);
+  assert.deepStrictEqual(b.selected, [['s2']]);
+  assert.deepStrictEqual(c.selected, []);
+});
+
+test('the link itself highlights and selects in every instance', () => {
+  var a = stub('id'), b = stub('sample');
+  var link = new Link([a, b]);
+  link.highlight(['s1']);
+  link.clearSelection();
+  assert.deepStrictEqual(a.highlighted, [['s1']]);
+  assert.deepStrictEqual(b.highlighted, [['s1']]);
+  assert.deepStrictEqual(a.selected, [[]]);
+  assert.deepStrictEqual(b.selected, [[]]);
+});
+
+test('removed and unlinked instances are no longer linked', () => {
+  var a = stub('id'), b = stub('sample'), c = stub('name');
+  var link = new Link([a, b, c]);
+  link.remove(b);
+  a.emit('hover', [{id: 's1'}]);
+  b.emit('hover', [{sample: 's2'}]);
+  assert.deepStrictEqual(b.highlighted, []);
+  assert.deepStrictEqual(c.highlighted, [['s1']]);
+
+  link.unlink();
+  a.emit('selectionchange', [{id: 's1'}]);
+  c.emit('hover', [{name: 's3'}]);
+  assert.deepStrictEqual(link.instances, []);
+  assert.deepStrictEqual(a.highlighted, []);
+  assert.deepStrictEqual(c.selected, []);
+});
@@ -0,0 +1,36 @@
+/*
+ * Tests of the delimited text loaders.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const loaders = require('../lib/loaders');
+const test = require('./helpers').test;
+
+test('parseDelimited keeps quoted fields exactly as written', () => {
+  var table = loaders.parseDelimited('id,name\n A , " a, ""b"" "\n');
+  assert.deepStrictEqual(table.rows, [{id: 'A', name: ' a, "b" '}]);
+});
+
+test('parseDelimited keeps the idKey column as strings', () => {
+  var text = 'id,x\n007,1\n01,2';
+  assert.deepStrictEqual(loaders.parseDelimited(text, {idKey: 'id'}).rows,
+                         [{id: '007', x: 1}, {id: '01', x: 2}]);
+  assert.deepStrictEqual(loaders.parseDelimited(text).rows,
+                         [{id: 7, x: 1}, {id: 1, x: 2}]);
+});
+
+test('loadDelimited joins numeric-looking IDs as strings', () => {
+  var loaded = loaders.loadDelimited('id,d1,d2\n007,1,2\n1,3,4',
+                                     'id,group\nS1,a\n1,b\n007,c');
+  assert.deepStrictEqual(loaded.ids, ['1', '007']);
+  assert.deepStrictEqual(loaded.coords, [[3, 4], [1, 2]]);
+  assert.deepStrictEqual(loaded.metadata,
+                         [{id: '1', group: 'b'}, {id: '007', group: 'c'}]);
+  assert.deepStrictEqual(loaded.extra, ['S1']);
+});
@@ -0,0 +1,47 @@
+/*
+ * Tests of classical MDS and the projection of new points.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// internal dependencies
+const mds = require('../lib/mds');
+const distance = require('../lib/distance');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+// points in the plane, with a fifth point left out of the reference set
+const points = [[0, 0], [4, 0], [1, 3], [-2, 2], [2, -1]];
+const reference = points.slice(0, 4);
+const distances = distance.distanceMatrix(reference);
+
+test('mds matches the documented example', () => {
+  var result = mds.mds([[0, 3, 4], [3, 0, 5], [4, 5, 0]], 2);
+  approxEqual(result.coords, [[-0.66, 1.53], [-2.15, -1.07], [2.81, -0.46]],
+              0.01);
+  approxEqual(result.proportions, [0.78, 0.22], 0.01);
+});
+
+test('mds recovers the distances of points in the plane', () => {
+  var coords = mds.mds(distances, 2).coords;
+  approxEqual(distance.distanceMatrix(coords), distances);
+});
+
+test('project places reference points on their own coordinates', () => {
+  var coords = mds.mds(distances, 2).coords;
+  approxEqual(mds.project(distances, coords, distances), coords);
+});
+
+test('project places a new point consistently with the reference', () => {
+  var coords = mds.mds(distances, 2).coords;
+  var newDistances = [reference.map((pt) => {
+    return Math.hypot(pt[0] - points[4][0], pt[1] - points[4][1]);
+  })];
+  var projected = mds.project(distances, coords, newDistances)[0];
+  var embedded = coords.map((pt) => {
+    return Math.hypot(pt[0] - projected[0], pt[1] - projected[1]);
+  });
+  approxEqual(embedded, newDistances[0]);
+});
@@ -0,0 +1,29 @@
+/*
+ * Tests of nearest neighbour ranking.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const _ = require('underscore');
+const assert = require('assert');
+
+// internal dependencies
+const neighbors = require('../lib/neighbors');
+const test = require('./helpers').test;
+
+test('nearestNeighbors matches the documented example', () => {
+  var distances = [[0, 1, 3], [1, 0, 1.5], [3, 1.5, 0]];
+  assert.deepStrictEqual(neighbors.nearestNeighbors(distances, 1),
+                         [[1], [0], [1]]);
+});
+
+test('rankNeighbors agrees with a full sort, breaking ties by index', () => {
+  var row = [4, 0, 2, 7, 2, 1, 9, 2, 0.5, 3];
+  var sorted = _.sortBy(_.without(_.range(row.length), 1), j => row[j]);
+  _.range(row.length + 1).forEach((k) => {
+    assert.deepStrictEqual(neighbors.rankNeighbors(row, 1, k),
+                           sorted.slice(0, k));
+  });
+});
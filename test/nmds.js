@@ -0,0 +1,87 @@
+/*
+ * Tests of non-metric MDS: the isotonic regression step, stress and the
+ * SMACOF iterations.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const nmds = require('../lib/nmds');
+const distance = require('../lib/distance');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+// points in the plane, so their distances can be embedded exactly in 2D
+const points = [[0, 0], [4, 0], [1, 3], [-2, 2], [2, -1], [3, 3]];
+const distances = distance.distanceMatrix(points);
+
+// points in space, whose distances can't be embedded exactly in 2D
+const solid = [[0, 0, 0], [1, 0, 2], [0, 3, 1], [2, 2, -1], [-1, 1, 3],
+               [3, -1, 1], [1, 1, 1]];
+
+// a start away from the solution, so that the solver has work to do
+const init = points.map((pt, i) => [pt[0] + (i % 2 ? 0.8 : -0.5),
+                                    pt[1] + (i % 3 ? -0.6 : 0.7)]);
+
+test('isotonic pools adjacent violators', () => {
+  approxEqual(nmds.isotonic([1, 3, 2, 4]), [1, 2.5, 2.5, 4]);
+  // 5, 1 pool to a mean of 3, which the next 3 doesn't violate; then 0
+  // pools everything from the 5 onwards, to (5 + 1 + 3 + 0) / 4
+  approxEqual(nmds.isotonic([2, 5, 1, 3, 0, 6]),
+              [2, 2.25, 2.25, 2.25, 2.25, 6]);
+  approxEqual(nmds.isotonic([1, 2, 3]), [1, 2, 3]);
+});
+
+test('nmds finds a near-zero stress embedding of planar distances', () => {
+  var result = nmds.nmds(distances, {init: init, maxIter: 500, tol: 1e-9});
+  assert.ok(result.stress < 1e-3, 'stress ' + result.stress);
+  assert.strictEqual(result.coords[0].length, 2);
+});
+
+test('nmds stress never increases between iterations', () => {
+  var stresses = [];
+  nmds.nmds(distances, {
+    init: init,
+    maxIter: 50,
+    onIteration: (iteration, stress) => {
+      stresses.push(stress);
+    }
+  });
+  assert.ok(stresses.length > 1);
+  stresses.slice(1).forEach((val, i) => {
+    assert.ok(val <= stresses[i], 'stress rose at iteration ' + (i + 2));
+  });
+});
+
+test('nmds respects maxIter and reports convergence honestly', () => {
+  var limited = nmds.nmds(distances, {init: init, maxIter: 3, tol: 0});
+  assert.strictEqual(limited.iterations, 3);
+  assert.strictEqual(limited.converged, false);
+
+  var converged = nmds.nmds(distance.distanceMatrix(solid),
+                            {maxIter: 1000, tol: 1e-4});
+  assert.ok(converged.converged);
+  assert.ok(converged.iterations < 1000);
+  assert.ok(converged.stress > 0.01);
+});
+
+test('nmds stops early when onIteration returns false', () => {
+  var result = nmds.nmds(distances, {
+    init: init,
+    onIteration: iteration => iteration < 2
+  });
+  assert.strictEqual(result.iterations, 2);
+  assert.strictEqual(result.converged, false);
+});
+
+test('nmds rejects an initial configuration not matching ndim', () => {
+  assert.throws(() => nmds.nmds(distances, {init: init, ndim: 3}),
+                /columns/);
+  assert.strictEqual(nmds.nmds(distances, {init: init, maxIter: 1})
+                     .coords[0].length, 2);
+});
@@ -0,0 +1,48 @@
+/*
+ * Tests of Procrustes analysis.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const procrustes = require('../lib/procrustes').procrustes;
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+const target = [[0, 0], [1, 0], [0, 2], [3, 1]];
+
+test('procrustes aligns a configuration to its mirror image', () => {
+  var mirror = [[0, 0], [-1, 0], [0, 2]];
+  var result = procrustes([[0, 0], [1, 0], [0, 2]], mirror);
+  approxEqual(result.statistic, 0);
+  approxEqual(result.coords, [[0, 0], [1, 0], [0, 2]]);
+  approxEqual(result.rotation, [[-1, 0], [0, 1]]);
+});
+
+test('procrustes undoes a rotation, scaling and translation', () => {
+  var angle = 0.7;
+  var c = Math.cos(angle), s = Math.sin(angle);
+  var source = target.map((pt) => {
+    return [2 * (c * pt[0] - s * pt[1]) + 5, 2 * (s * pt[0] + c * pt[1]) - 1];
+  });
+  var result = procrustes(target, source);
+  approxEqual(result.statistic, 0);
+  approxEqual(result.scale, 0.5);
+  approxEqual(result.coords, target);
+});
+
+test('procrustes without scaling keeps the source size', () => {
+  var source = target.map(pt => [2 * pt[0], 2 * pt[1]]);
+  var result = procrustes(target, source, {scale: false});
+  approxEqual(result.scale, 1);
+  assert.ok(result.statistic > 0.1);
+});
+
+test('procrustes rejects configurations of different shapes', () => {
+  assert.throws(() => procrustes(target, target.slice(1)), /mdsvis/);
+});
@@ -0,0 +1,35 @@
+/*
+ * Tests of the colour scale helpers.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const scales = require('../lib/scales');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+test('isNumeric accepts finite numbers and missing values', () => {
+  assert.strictEqual(scales.isNumeric([1, 2.5, null, undefined]), true);
+  assert.strictEqual(scales.isNumeric([null, undefined]), false);
+  assert.strictEqual(scales.isNumeric([1, Infinity]), false);
+  assert.strictEqual(scales.isNumeric([1, NaN]), false);
+});
+
+test('isNumeric treats numeric strings as categories', () => {
+  assert.strictEqual(scales.isNumeric(['10', '4', '200']), false);
+  assert.strictEqual(scales.isNumeric([10, '4']), false);
+});
+
+test('quantileBreaks and binLabel bin numeric values', () => {
+  var breaks = scales.quantileBreaks([10, 4, 200, null], 2);
+  approxEqual(breaks, [4, 10, 200]);
+  assert.strictEqual(scales.binLabel(4, breaks), '[4, 10)');
+  assert.strictEqual(scales.binLabel(200, breaks), '[10, 200]');
+  assert.strictEqual(scales.binLabel(null, breaks), 'NA');
+});
@@ -0,0 +1,74 @@
+/*
+ * Tests of group summaries: centroids, convex hulls and confidence ellipses.
+ */
+
+/* jshint esversion: 6 */
+'use strict';
+
+// external dependencies
+const assert = require('assert');
+
+// internal dependencies
+const summaries = require('../lib/summaries');
+const helpers = require('./helpers');
+const test = helpers.test;
+const approxEqual = helpers.approxEqual;
+
+// chi-squared (2 d.f.) radii of the 68% and 95% ellipses
+const radius68 = Math.sqrt(-2 * Math.log(0.32));
+const radius95 = Math.sqrt(-2 * Math.log(0.05));
+
+test('centroid is the mean of each coordinate', () => {
+  approxEqual(summaries.centroid([[0, 0], [2, 0], [1, 3]]), [1, 1]);
+});
+
+test('convexHull of a square leaves out interior and edge points', () => {
+  var points = [[1, 1], [0, 2], [2, 0], [0.5, 1.5], [1, 0], [2, 2], [0, 0],
+                [2, 1], [0, 1], [1, 2], [2, 2]];
+  assert.deepStrictEqual(summaries.convexHull(points),
+                         [[0, 0], [2, 0], [2, 2], [0, 2]]);
+});
+
+test('convexHull of fewer than three points gives the distinct points', () => {
+  assert.deepStrictEqual(summaries.convexHull([[1, 2]]), [[1, 2]]);
+  assert.deepStrictEqual(summaries.convexHull([[1, 2], [1, 2]]), [[1, 2]]);
+  assert.deepStrictEqual(summaries.convexHull([[3, 0], [1, 2]]),
+                         [[1, 2], [3, 0]]);
+  assert.deepStrictEqual(summaries.convexHull([[0, 0], [2, 2], [1, 1]]),
+                         [[0, 0], [2, 2]]);
+});
+
+test('confidenceEllipse radii match a hand-computed covariance', () => {
+  // var(x) = 8/3, var(y) = 2/3 and cov(x, y) = 0: the axes are x and y
+  var points = [[2, 0], [-2, 0], [0, 1], [0, -1]];
+  var ellipse = summaries.confidenceEllipse(points, 0.95, 4);
+  assert.strictEqual(ellipse.length, 5);
+  approxEqual(ellipse[0], [radius95 * Math.sqrt(8 / 3), 0]);
+  approxEqual(ellipse[1], [0, radius95 * Math.sqrt(2 / 3)]);
+  approxEqual(ellipse[4], ellipse[0]);
+
+  ellipse = summaries.confidenceEllipse(points, 0.68, 4);
+  approxEqual(ellipse[0], [radius68 * Math.sqrt(8 / 3), 0]);
+  approxEqual(ellipse[1], [0, radius68 * Math.sqrt(2 / 3)]);
+});
+
+test('confidenceEllipse of correlated points is rotated', () => {
+  // var(x) = var(y) = 10/3 and cov(x, y) = 2: eigenvalues 16/3 along (1, 1)
+  // and 4/3 along (-1, 1)
+  var points = [[2, 2], [-2, -2], [1, -1], [-1, 1]];
+  [[0.68, radius68], [0.95, radius95]].forEach((args) => {
+    var ellipse = summaries.confidenceEllipse(points, args[0], 4);
+    var major = args[1] * Math.sqrt(16 / 3) / Math.SQRT2;
+    var minor = args[1] * Math.sqrt(4 / 3) / Math.SQRT2;
+    approxEqual(ellipse[0], [major, major]);
+    approxEqual(ellipse[1], [-minor, minor]);
+  });
+});
+
+test('confidenceEllipse rejects too few points and invalid levels', () => {
+  assert.throws(() => summaries.confidenceEllipse([[0, 0], [1, 1]], 0.95),
+                /3 points/);
+  var points = [[0, 0], [1, 0], [0, 1]];
+  assert.throws(() => summaries.confidenceEllipse(points, 1), /level/);
+  assert.throws(() => summaries.confidenceEllipse(points, 0), /level/);
+});